@@ -0,0 +1,71 @@
+// KiteFlow - Official alerts
+// Active NWS alerts for a point from the Weather.gov alerts API (Small Craft
+// Advisory, Gale Warning, Special Marine Warning, rip current statements...),
+// normalized for the safety card. The endpoint lives in KITEFLOW_ENDPOINTS.alerts,
+// so a local fixture file can stand in for the live feed (see fixtures/alerts).
+
+const ALERTS_CACHE_TTL = 5 * 60000;
+
+// Events that matter on the water even when NWS rates their severity low
+const MARINE_ALERT_EVENTS = [
+    'Small Craft Advisory', 'Gale Warning', 'Storm Warning', 'Hurricane Force Wind Warning',
+    'Special Marine Warning', 'Marine Weather Statement', 'Rip Current Statement',
+    'High Surf Advisory', 'High Surf Warning', 'Beach Hazards Statement', 'Brisk Wind Advisory',
+    'Hazardous Seas Warning', 'Severe Thunderstorm Warning', 'Tornado Warning', 'Waterspout'
+];
+
+const ALERT_LEVEL_RANK = { danger: 2, warning: 1, info: 0 };
+
+class WeatherAlerts {
+    constructor(app, baseUrl = KITEFLOW_ENDPOINTS.alerts) {
+        this.app = app;
+        this.baseUrl = baseUrl;
+    }
+
+    covers(lat, lon) {
+        // NWS only issues alerts where Weather.gov forecasts
+        return this.app.weatherProviders.some(provider => provider.name === 'weather.gov' && provider.covers(lat, lon));
+    }
+
+    async load(location, signal = null) {
+        const url = `${this.baseUrl}?point=${location.lat.toFixed(4)},${location.lon.toFixed(4)}`;
+        const data = await this.app.http.getJson(url, {
+            ttl: ALERTS_CACHE_TTL,
+            signal,
+            headers: { Accept: 'application/geo+json' }
+        });
+
+        // The feed only carries active alerts, so nothing is filtered by time here (fixtures keep working)
+        return (data.features || [])
+            .map(feature => this.normalize(feature.properties || {}))
+            .sort((a, b) => ALERT_LEVEL_RANK[b.level] - ALERT_LEVEL_RANK[a.level] || (a.effective || 0) - (b.effective || 0));
+    }
+
+    normalize(props) {
+        const event = props.event || 'Weather alert';
+        const effective = props.onset || props.effective;
+        const expires = props.ends || props.expires;
+        return {
+            id: props.id || props['@id'] || event,
+            event,
+            severity: props.severity || 'Unknown',
+            urgency: props.urgency || 'Unknown',
+            headline: props.headline || event,
+            description: props.description || '',
+            instruction: props.instruction || '',
+            area: props.areaDesc || '',
+            sender: props.senderName || 'National Weather Service',
+            effective: effective ? new Date(effective) : null,
+            expires: expires ? new Date(expires) : null,
+            marine: MARINE_ALERT_EVENTS.some(name => event.includes(name)),
+            level: this.getLevel(event, props.severity)
+        };
+    }
+
+    getLevel(event, severity) {
+        // Warnings and severe/extreme alerts mean stay off the water; advisories mean think twice
+        if (['Extreme', 'Severe'].includes(severity) || /Warning/.test(event)) return 'danger';
+        if (severity === 'Moderate' || /Advisory|Watch/.test(event)) return 'warning';
+        return 'info';
+    }
+}
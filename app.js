@@ -1,83 +1,468 @@
 // KiteFlow - Kite Surfing Conditions App
 // Uses free NOAA and Weather.gov APIs
 
+// How each board changes kite sizing: scale on the twin-tip size and the lowest rideable wind
+const BOARD_TYPES = {
+    twintip: { label: 'twin-tip', sizeFactor: 1.0, minWind: 12, minSize: 6, maxSize: 18 },
+    surfboard: { label: 'surfboard', sizeFactor: 0.9, minWind: 13, minSize: 5, maxSize: 15 },
+    foil: { label: 'foil board', sizeFactor: 0.6, minWind: 8, minSize: 3, maxSize: 15 }
+};
+
+// Highest mean wind each skill level should be out in
+const SKILL_LEVELS = {
+    beginner: { label: 'beginner', maxWind: 20, sizeFactor: 0.9 },
+    intermediate: { label: 'intermediate', maxWind: 28, sizeFactor: 1.0 },
+    advanced: { label: 'advanced', maxWind: 35, sizeFactor: 1.0 }
+};
+
+// Where a card's numbers came from. Only live and forecast data may give a green light.
+const DATA_PROVENANCE = {
+    live: { label: 'Live observation', className: 'live' },
+    forecast: { label: 'Forecast-derived', className: 'forecast' },
+    cached: { label: 'Cached', className: 'cached' },
+    synthetic: { label: 'Synthetic (demo)', className: 'synthetic' },
+    unavailable: { label: 'Data unavailable', className: 'unavailable' }
+};
+
+// Where the app opens when the URL doesn't say otherwise
+const DEFAULT_LOCATION = { lat: 41.6868, lon: -70.2428, name: 'Cape Cod, MA' };
+
+// Views that can be linked to (?view=tides) and the card each one scrolls to
+const VIEW_SECTIONS = {
+    conditions: 'wind-card',
+    forecast: 'forecast-card',
+    history: 'history-card',
+    sessions: 'session-card',
+    logbook: 'logbook-card',
+    tides: 'tide-card',
+    spots: 'spots-card',
+    map: 'map-card',
+    safety: 'safety-card',
+    favorites: 'dashboard-card'
+};
+
 class KiteFlow {
     constructor() {
-        this.currentLocation = { lat: 41.6868, lon: -70.2428, name: 'Cape Cod, MA' };
+        this.currentLocation = this.readUrlState().location || DEFAULT_LOCATION;
+        this.currentView = 'conditions';
         this.weatherData = null;
         this.tideData = null;
+        this.http = new HttpClient();
+        this.activeLoad = null; // { generation, controller } of the one load allowed to update the cards
+        this.loadGeneration = 0;
+        this.favoritesGeneration = 0;
+        this.nearbyRequest = null; // { generation, controller } of the newest "near me" search
+        this.nearbyGeneration = 0;
+        this.nearbyResults = null;
+        this.nearbySort = 'distance'; // or 'quality'
+        this.nearbySpotCount = 5;
+        this.map = null;
+        this.mapVisible = false;
+        this.mapCenteredOn = null; // Location the map was last centred on, so refreshes don't undo panning
+        this.spotWinds = new Map(); // spot id -> latest wind and its fetchedAt, for the arrows on the map
+        this.mapWindRequests = new Set(); // spot ids being fetched for the map
+        this.mapWindAttempts = new Map(); // spot id -> when the map last tried it, so failures aren't retried in a loop
+        this.searchRequests = null;
+        this.searchCandidates = [];
+        this.searchHighlight = -1;
+        this.searchPickReady = false; // Enter confirms the highlighted candidate rather than searching again
+        this.searchPreviewMap = null;
+        this.recentSearches = this.loadRecentSearches();
+        this.recentSearchLimit = 8;
+        this.weatherProviders = [
+            new WeatherGovProvider(this),
+            new OpenMeteoProvider(this)
+        ];
+        this.officialAlerts = new WeatherAlerts(this);
+        this.alerts = null; // Active NWS alerts for the current location; null when they couldn't be checked
+        this.buoys = new BuoyData(this);
+        this.marineData = null; // Water temperature and waves from the nearest NDBC buoy; null when there isn't one
+        this.tideStations = null;
+        this.tideCurves = new WeakMap(); // curve array -> parsed points, see getTideCurve
+        this.clock = new SpotClock(); // The current location's time zone; the browser's until a provider says otherwise
+        this.currentTideStationInfo = null;
+        this.tideStationRadiusKm = 100; // Tides further away than this aren't representative
+        this.forecastHorizonDays = 7; // Tides are fetched for as long as the wind forecast runs
+        this.conditionsCacheSize = 10; // Locations whose last good weather and tides are kept for offline use
+        this.demoMode = false; // Synthetic data is only ever shown when the user opts in
+        this.spots = null;
+        this.currentSpot = null;
+        this.spotMatchRadiusKm = 15; // A location this close to a known spot is treated as that spot
+        this.favoriteSpotIds = this.loadFavorites();
+        this.favoriteResults = null;
+        this.units = new UnitPreferences();
+        this.riderProfile = this.loadRiderProfile();
+        this.sessionWindows = [];
+        this.minSessionHours = 2; // Shorter windows aren't worth rigging for
+        this.selectedForecastDay = null;
+        this.logbook = new SessionLogbook();
+        this.loggedSessions = []; // Newest first; null when the browser has no usable IndexedDB
+        this.logClocks = new Map(); // time zone -> SpotClock, for showing each session in its spot's time
+        this.forecastHourWidth = 14; // Pixels per hour on the scrollable forecast chart
         this.init();
     }
 
     init() {
         this.setupEventListeners();
-        this.loadInitialData();
+        this.registerServiceWorker();
+        this.loadFromUrl('replace').then(() => this.loadFavoritesDashboard());
+        this.loadLogbook();
+    }
+
+    readUrlState() {
+        // ?lat=35.2007&lon=-75.6565&name=Hatteras%2C%20NC&spot=hatteras-canadian-hole&view=forecast
+        const params = new URLSearchParams(window.location.search);
+        const lat = parseFloat(params.get('lat'));
+        const lon = parseFloat(params.get('lon'));
+        const validCoords = !isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+        
+        return {
+            location: validCoords
+                ? { lat, lon, name: params.get('name') || `${lat.toFixed(4)}, ${lon.toFixed(4)}` }
+                : null,
+            spotId: params.get('spot'),
+            view: VIEW_SECTIONS[params.get('view')] ? params.get('view') : 'conditions'
+        };
+    }
+
+    buildUrl() {
+        const params = new URLSearchParams();
+        if (this.currentSpot) params.set('spot', this.currentSpot.id);
+        params.set('lat', this.currentLocation.lat.toFixed(4));
+        params.set('lon', this.currentLocation.lon.toFixed(4));
+        params.set('name', this.currentLocation.name);
+        if (this.currentView !== 'conditions') params.set('view', this.currentView);
+        return `${window.location.pathname}?${params.toString()}`;
+    }
+
+    writeUrlState(mode = 'push') {
+        // 'push' for a new location (so Back returns to the last one), 'replace' for everything else
+        const url = this.buildUrl();
+        const current = `${window.location.pathname}${window.location.search}`;
+        if (mode === 'push' && url === current) return;
+        
+        const state = { location: this.currentLocation, spotId: this.currentSpot?.id || null, view: this.currentView };
+        if (mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(state, '', url);
+        }
+    }
+
+    async loadFromUrl(historyMode = 'none') {
+        // Used at startup and on Back/Forward; a link with only ?spot= still opens that spot
+        const state = this.readUrlState();
+        if (state.spotId && !this.spots) {
+            await this.loadSpots();
+        }
+        const spot = state.spotId ? this.getSpotById(state.spotId) : null;
+        const location = state.location ||
+            (spot ? { lat: spot.lat, lon: spot.lon, name: spot.name } : DEFAULT_LOCATION);
+        
+        this.setCurrentLocation(location, spot, historyMode);
+        this.setView(state.view, 'none', false);
+        await this.loadInitialData();
+        if (this.currentView !== 'conditions') {
+            this.scrollToView(this.currentView);
+        }
+    }
+
+    setView(view, historyMode = 'replace', scroll = true) {
+        this.currentView = VIEW_SECTIONS[view] ? view : 'conditions';
+        document.querySelectorAll('#viewNav a').forEach(link => {
+            link.classList.toggle('active', link.dataset.view === this.currentView);
+        });
+        if (historyMode !== 'none') this.writeUrlState(historyMode);
+        if (scroll) this.scrollToView(this.currentView);
+    }
+
+    scrollToView(view) {
+        const section = document.querySelector(`.${VIEW_SECTIONS[view]}`);
+        if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    registerServiceWorker() {
+        // The worker caches the app shell; conditions are cached by the app itself (see saveCachedConditions)
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
     }
 
     setupEventListeners() {
         const searchBtn = document.getElementById('searchBtn');
         const locationInput = document.getElementById('locationInput');
-        const quickLocBtns = document.querySelectorAll('.quick-loc');
-        const weightInput = document.getElementById('riderWeight');
+        const quickLocBtns = document.querySelectorAll('.quick-loc[data-lat]');
+        const profileInputs = document.querySelectorAll('.rider-profile input, .rider-profile select');
 
         searchBtn.addEventListener('click', () => this.handleSearch());
-        locationInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleSearch();
+        locationInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSearchHighlight(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Escape') {
+                this.hideSearchCandidates();
+            } else if (e.key === 'Enter') {
+                // Enter searches; once results are in (or one was picked with the arrows) it confirms
+                if (this.searchPickReady) {
+                    this.confirmSearchCandidate();
+                } else {
+                    this.handleSearch();
+                }
+            }
+        });
+        locationInput.addEventListener('input', () => {
+            this.searchRequests?.abort();
+            this.searchRequests = null;
+            this.updateSearchSuggestions();
+        });
+        locationInput.addEventListener('focus', () => {
+            if (!locationInput.value.trim() || locationInput.value === this.currentLocation.name) {
+                locationInput.select();
+                this.updateSearchSuggestions();
+            }
+        });
+        document.getElementById('searchConfirmBtn').addEventListener('click', () => this.confirmSearchCandidate());
+        document.getElementById('searchCancelBtn').addEventListener('click', () => this.hideSearchCandidates());
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-section')) this.hideSearchCandidates();
+        });
+
+        document.querySelectorAll('#viewNav a').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setView(link.dataset.view);
+            });
+        });
+
+        document.getElementById('nearMeBtn').addEventListener('click', () => this.findNearMe());
+        document.querySelectorAll('#nearbySort button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.nearbySort = button.dataset.sort;
+                this.renderNearbySpots();
+            });
+        });
+
+        // Back/Forward walk through previously viewed locations
+        window.addEventListener('popstate', () => {
+            this.loadFromUrl('none');
         });
 
         quickLocBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const lat = parseFloat(btn.dataset.lat);
                 const lon = parseFloat(btn.dataset.lon);
-                this.currentLocation = { lat, lon, name: btn.textContent };
-                locationInput.value = btn.textContent;
+                this.setCurrentLocation({ lat, lon, name: btn.textContent });
                 this.loadInitialData();
             });
         });
 
-        weightInput.addEventListener('input', () => {
-            if (this.weatherData) {
-                this.calculateKiteSize();
+        this.setupMap();
+        this.renderUnitSettings();
+        this.updateUnitLabels();
+        this.applyRiderProfileToForm();
+        this.applySessionCriteriaToForm({ minWind: 12, maxWind: 25, tide: null });
+        profileInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.saveRiderProfile();
+                if (this.weatherData) {
+                    this.calculateKiteSize();
+                }
+            });
+        });
+
+        document.getElementById('demoToggle').addEventListener('click', () => {
+            this.setDemoMode(!this.demoMode);
+        });
+
+        document.getElementById('refreshFavoritesBtn').addEventListener('click', () => {
+            this.loadFavoritesDashboard();
+        });
+
+        // Back online after showing cached conditions - refresh quietly
+        window.addEventListener('online', () => {
+            if (this.demoMode) return;
+            this.refreshConditions();
+            if (this.favoriteResults?.some(result => result.weatherData?.provenance === 'cached')) {
+                this.loadFavoritesDashboard();
             }
         });
+        window.addEventListener('offline', () => this.updateOfflineBanner());
+
+        document.getElementById('logStartBtn').addEventListener('click', () => this.startSession());
+        document.getElementById('logEndBtn').addEventListener('click', () => this.endSession());
+        document.getElementById('logSaveBtn').addEventListener('click', () => this.saveManualSession());
+        document.getElementById('logExportCsv').addEventListener('click', () => this.exportLogbook('csv'));
+        document.getElementById('logExportJson').addEventListener('click', () => this.exportLogbook('json'));
+        document.getElementById('logImport').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Picking the same file again should import again
+            if (file) this.importLogbook(file);
+        });
+        document.getElementById('logManual').addEventListener('toggle', (e) => {
+            // Suggest the last two hours, in the time of the location on screen
+            if (!e.target.open || document.getElementById('logStart').value) return;
+            const now = Date.now();
+            document.getElementById('logStart').value = this.clock.toInputValue(now - 2 * 3600000);
+            document.getElementById('logEnd').value = this.clock.toInputValue(now);
+        });
+
+        ['sessionMinWind', 'sessionMaxWind', 'sessionTideHeight'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateSessionWindows();
+                this.updateForecast();
+                this.updateDailyForecast();
+            });
+        });
+    }
+
+    renderUnitSettings() {
+        const container = document.getElementById('unitSettings');
+        const labels = { wind: 'Wind', temperature: 'Temp', height: 'Tide', distance: 'Distance', weight: 'Weight' };
+        
+        container.innerHTML = '<span class="label">Units:</span>' +
+            Object.keys(UNIT_PRESETS).map(preset =>
+                `<button class="unit-preset" data-preset="${preset}">${preset === 'metric' ? 'Metric' : 'Imperial'}</button>`
+            ).join('') +
+            Object.keys(UNIT_OPTIONS).map(quantity => `
+                <label>${labels[quantity]}
+                    <select data-quantity="${quantity}">
+                        ${Object.entries(UNIT_OPTIONS[quantity]).map(([unit, option]) =>
+                            `<option value="${unit}"${this.units.selected[quantity] === unit ? ' selected' : ''}>${option.label}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+            `).join('');
+        
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.changeUnits(() => this.units.set(select.dataset.quantity, select.value));
+            });
+        });
+        container.querySelectorAll('.unit-preset').forEach(button => {
+            button.addEventListener('click', () => {
+                this.changeUnits(() => this.units.applyPreset(button.dataset.preset));
+            });
+        });
+    }
+
+    changeUnits(update) {
+        // Inputs hold values in the old units - read them before switching, write them back after
+        const criteria = this.getSessionCriteria();
+        update();
+        
+        document.querySelectorAll('#unitSettings select').forEach(select => {
+            select.value = this.units.selected[select.dataset.quantity];
+        });
+        this.updateUnitLabels();
+        this.applyRiderProfileToForm();
+        this.applySessionCriteriaToForm(criteria);
+        this.saveRiderProfile();
+        
+        // Re-render everything that shows a number; no need to refetch anything
+        this.updateWindDisplay();
+        this.updateWaterDisplay();
+        this.updateSessionWindows();
+        this.calculateKiteSize();
+        this.updateForecast();
+        this.updateDailyForecast();
+        this.updateWindHistory();
+        this.updateTideDisplay();
+        if (this.weatherData) {
+            this.updateSafetyAlerts();
+        }
+        this.renderLogbook();
+        if (this.favoriteResults) {
+            this.favoriteResults.forEach(result => {
+                result.assessment = this.assessConditions(result.weatherData, result.spot, result.alerts);
+            });
+            this.renderFavoritesDashboard(this.favoriteResults);
+        }
+        if (this.nearbyResults) {
+            this.nearbyResults.forEach(result => {
+                result.assessment = this.assessConditions(result.weatherData, result.spot, result.alerts);
+            });
+            this.renderNearbySpots();
+        }
+    }
+
+    updateUnitLabels() {
+        // Static labels in the page are marked with the quantity they measure
+        document.querySelectorAll('[data-unit]').forEach(element => {
+            element.textContent = this.units.unit(element.dataset.unit);
+        });
+        document.getElementById('legendWind').textContent = `Wind Speed (${this.units.option('wind').label})`;
+        document.getElementById('legendGust').textContent = `Gusts (${this.units.option('wind').label})`;
+        document.getElementById('check1').textContent = `Wind speed: ${this.units.formatRange('wind', 12, 35)} recommended`;
+    }
+
+    setDemoMode(enabled) {
+        this.demoMode = enabled;
+        document.getElementById('demoBanner').classList.toggle('hidden', !enabled);
+        document.getElementById('demoToggle').textContent = enabled ? 'Exit demo mode' : 'Try demo mode';
+        this.loadInitialData();
+    }
+
+    setCurrentLocation(location, spot = null, historyMode = 'push') {
+        // Every location change goes through here so the spot always matches the coordinates
+        // Requests still running for the previous location are no longer wanted
+        this.activeLoad?.controller.abort();
+        this.hideSearchCandidates();
+        this.currentLocation = location;
+        this.currentSpot = spot || this.findSpotNear(location.lat, location.lon);
+        // The previous location's conditions must not be re-rendered under the new spot's name
+        // (e.g. by a unit change) while its own load is still running or after it failed
+        this.weatherData = null;
+        this.currentStationInfo = null;
+        this.tideData = null;
+        this.currentTideStationInfo = null;
+        this.alerts = null;
+        this.marineData = null;
+        document.getElementById('locationInput').value = location.name;
+        if (historyMode !== 'none') this.writeUrlState(historyMode);
     }
 
     async handleSearch() {
         const query = document.getElementById('locationInput').value.trim();
         if (!query) return;
 
+        // A new search replaces one still waiting on Nominatim
+        this.searchRequests?.abort();
+        const searchRequests = new AbortController();
+        this.searchRequests = searchRequests;
+
+        // Our own spots answer straight away; places follow when Nominatim replies
+        const spotCandidates = this.findSpotCandidates(query);
+        this.showSearchCandidates(spotCandidates, 'Searching places...');
+
         try {
-            this.showLoading(true);
-            this.hideError();
+            const places = await this.geocodeLocation(query, searchRequests.signal);
+            if (this.searchRequests !== searchRequests) return;
             
-            const result = await this.geocodeLocation(query);
-            if (result && result.coords) {
-                const foundName = result.displayName || query;
-                this.currentLocation = { 
-                    ...result.coords, 
-                    name: foundName
-                };
-                // Update the input to show what was actually found
-                document.getElementById('locationInput').value = foundName;
-                // Show success message briefly
-                this.showSuccessMessage(`✓ Found: ${foundName}`);
-                await this.loadInitialData();
-            } else {
-                this.showError(`Location "${query}" not found. Try being more specific (e.g., "La Ventana, Baja California, Mexico" or include country name).`);
+            const candidates = [...spotCandidates, ...places];
+            if (candidates.length === 0) {
+                this.showSearchCandidates([], `No matches for "${query}". Try adding a region or country (e.g., "La Ventana, Baja California Sur").`);
+                return;
             }
+            this.showSearchCandidates(candidates);
+            this.searchPickReady = true;
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Search error:', error);
-            this.showError('Error searching for location. Please check your connection and try again.');
+            this.showSearchCandidates(spotCandidates, 'Error searching for places. Please check your connection and try again.');
         } finally {
-            this.showLoading(false);
+            if (this.searchRequests === searchRequests) {
+                this.searchRequests = null;
+            }
         }
     }
 
-    async geocodeLocation(query) {
+    async geocodeLocation(query, signal = null) {
+        // Ranked place candidates for the picker - choosing one is up to the user
         // Strategy 1: Direct search with original query
-        let result = await this.searchNominatim(query, 5);
+        let result = await this.searchNominatim(query, 8, signal);
         if (result && result.length > 0) {
-            return this.selectBestResult(result, query);
+            return this.rankPlaceCandidates(result, query);
         }
 
         // Strategy 2: Try adding context for known kiting locations
@@ -96,85 +481,58 @@ class KiteFlow {
         const lowerQuery = query.toLowerCase();
         for (const [key, fullName] of Object.entries(kitingLocations)) {
             if (lowerQuery.includes(key)) {
-                result = await this.searchNominatim(fullName, 3);
-                if (result && result.length > 0) {
-                    return this.selectBestResult(result, fullName);
-                }
-            }
-        }
-
-        // Strategy 3: Try with variations - add country if ambiguous
-        if (!query.includes(',')) {
-            // Try adding common countries for kiting
-            const variations = [
-                `${query}, Mexico`,
-                `${query}, USA`,
-                `${query}, United States`
-            ];
-            
-            for (const variation of variations) {
-                result = await this.searchNominatim(variation, 3);
+                result = await this.searchNominatim(fullName, 5, signal);
                 if (result && result.length > 0) {
-                    return this.selectBestResult(result, variation);
+                    return this.rankPlaceCandidates(result, fullName);
                 }
             }
         }
 
-        // Strategy 4: Try partial matching with expanded search
+        // Strategy 3: Try partial matching with expanded search
         const words = query.split(' ').filter(w => w.length > 2);
         if (words.length > 1) {
             // Try with just the main location words
             const simplified = words.slice(0, 2).join(' ');
-            result = await this.searchNominatim(simplified, 10);
+            result = await this.searchNominatim(simplified, 10, signal);
             if (result && result.length > 0) {
                 // Filter results that contain our query words
                 const filtered = result.filter(r => {
                     const display = (r.display_name || '').toLowerCase();
                     return words.some(word => display.includes(word.toLowerCase()));
                 });
-                if (filtered.length > 0) {
-                    return this.selectBestResult(filtered, query);
-                }
-                return this.selectBestResult(result, query);
+                return this.rankPlaceCandidates(filtered.length > 0 ? filtered : result, query);
             }
         }
 
-        return null;
+        return [];
     }
 
-    async searchNominatim(query, limit = 5) {
+    async searchNominatim(query, limit = 5, signal = null) {
         try {
-            // Add small delay to respect rate limits
-            await new Promise(resolve => setTimeout(resolve, 300));
-            
-            const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&addressdetails=1`;
+            // The HTTP client spaces Nominatim requests 1s apart, per its usage policy
+            const url = `${KITEFLOW_ENDPOINTS.nominatim}/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&addressdetails=1`;
             
-            const response = await fetch(url, {
+            const data = await this.http.getJson(url, {
+                ttl: 24 * 3600000,
+                signal,
                 headers: {
                     'User-Agent': 'KiteFlow-KiteSurfingApp/1.0',
                     'Accept-Language': 'en-US,en;q=0.9'
                 }
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
             return data || [];
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Nominatim search error:', error);
             return [];
         }
     }
 
-    selectBestResult(results, originalQuery) {
-        if (!results || results.length === 0) return null;
-
+    rankPlaceCandidates(results, originalQuery) {
         const lowerQuery = originalQuery.toLowerCase();
         const words = lowerQuery.split(' ').filter(w => w.length > 2);
 
-        // Score each result
+        // Score each result - this only orders the list, the user still picks
         const scoredResults = results.map(result => {
             let score = 0;
             const displayName = (result.display_name || '').toLowerCase();
@@ -193,7 +551,10 @@ class KiteFlow {
                 }
             });
 
-            // Prefer places, cities, towns over other types
+            // Beaches and coast are what kiters search for; then places, cities, towns
+            if (['beach', 'bay', 'coastline', 'cape', 'peninsula'].includes(type)) {
+                score += 6;
+            }
             if (['city', 'town', 'village', 'place'].includes(classType)) {
                 score += 5;
             }
@@ -201,349 +562,863 @@ class KiteFlow {
                 score += 3;
             }
 
-            // Prefer locations with more detail (indicates it's well-known)
-            if (result.address) {
-                score += 2;
-            }
-
-            // Penalty for very generic matches
-            if (result.importance < 0.3) {
-                score -= 2;
-            }
+            // Prefer well-known places
+            score += (result.importance || 0) * 5;
 
-            return { ...result, score };
+            return { result, score };
         });
 
-        // Sort by score and return best match
         scoredResults.sort((a, b) => b.score - a.score);
-        const best = scoredResults[0];
+        return scoredResults.map(({ result }) => this.toPlaceCandidate(result, originalQuery));
+    }
 
+    toPlaceCandidate(result, originalQuery) {
+        const address = result.address || {};
+        const region = [
+            address.state || address.region || address.county,
+            address.country
+        ].filter(Boolean).join(', ');
+        const name = result.name || (result.display_name || originalQuery).split(',')[0];
+        
         return {
-            coords: {
-                lat: parseFloat(best.lat),
-                lon: parseFloat(best.lon)
-            },
-            displayName: best.display_name || originalQuery,
-            importance: best.importance || 0
+            source: 'place',
+            name,
+            detail: region || result.display_name || '',
+            type: (result.type || result.class || 'place').replace(/_/g, ' '),
+            lat: parseFloat(result.lat),
+            lon: parseFloat(result.lon),
+            // Kept whole for the location name, so "Kite Beach" says which one
+            displayName: region ? `${name}, ${region}` : (result.display_name || name),
+            spotId: null
         };
     }
 
-    async loadInitialData() {
-        try {
-            this.showLoading(true);
-            this.hideError();
-
-            // Load weather and wind data
-            await this.loadWeatherData();
-            
-            // Load tide data
-            await this.loadTideData();
-            
-            // Update all UI components
-            this.updateWindDisplay();
-            this.calculateKiteSize();
-            this.updateForecast();
-            this.updateTideDisplay();
-            this.updateSafetyAlerts();
-            this.loadPopularSpots();
+    findSpotCandidates(query) {
+        // Spots from spots.json rank above any geocoder hit
+        const words = query.toLowerCase().split(/[\s,]+/).filter(w => w.length > 1);
+        if (words.length === 0) return [];
+        
+        return (this.spots || [])
+            .map(spot => {
+                const haystack = `${spot.name} ${spot.location} ${spot.id}`.toLowerCase();
+                const matches = words.filter(word => haystack.includes(word)).length;
+                return { spot, matches };
+            })
+            .filter(({ matches }) => matches > 0)
+            .sort((a, b) => b.matches - a.matches)
+            .map(({ spot }) => ({
+                source: 'spot',
+                name: spot.name,
+                detail: spot.location,
+                type: 'kite spot',
+                lat: spot.lat,
+                lon: spot.lon,
+                displayName: spot.name,
+                spotId: spot.id
+            }));
+    }
 
+    loadRecentSearches() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('kiteflow.recentSearches') || '[]');
+            return Array.isArray(stored) ? stored.filter(item => !isNaN(item.lat) && !isNaN(item.lon)) : [];
         } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError('Failed to load data. Please check your connection and try again.');
-        } finally {
-            this.showLoading(false);
+            console.warn('Ignoring invalid recent searches:', error);
+            return [];
         }
     }
 
-    async loadWeatherData() {
-        try {
-            // First, get the grid point from lat/lon using Weather.gov API
-            const pointUrl = `https://api.weather.gov/points/${this.currentLocation.lat},${this.currentLocation.lon}`;
-            const pointResponse = await fetch(pointUrl);
-            
-            if (!pointResponse.ok) {
-                throw new Error('Unable to fetch weather point data');
-            }
-            
-            const pointData = await pointResponse.json();
-            const forecastUrl = pointData.properties.forecast;
-            const hourlyForecastUrl = pointData.properties.forecastHourly;
-            const observationUrl = pointData.properties.observationStations;
-
-            // Get current observations - find best station for this location
-            let observationData = null;
-            this.currentStationInfo = null; // Reset station info
-            try {
-                const stationsResponse = await fetch(observationUrl);
-                const stationsData = await stationsResponse.json();
-                
-                if (stationsData.features && stationsData.features.length > 0) {
-                    // Find the best station - closest to our location and with recent data
-                    observationData = await this.findBestObservationStation(
-                        stationsData.features,
-                        this.currentLocation.lat,
-                        this.currentLocation.lon
-                    );
-                }
-            } catch (e) {
-                console.warn('Could not fetch observations:', e);
-                this.currentStationInfo = null;
-            }
-
-            // Get hourly forecast for wind data
-            const hourlyResponse = await fetch(hourlyForecastUrl);
-            const hourlyData = await hourlyResponse.json();
-
-            // Get daily forecast
-            const forecastResponse = await fetch(forecastUrl);
-            const forecastData = await forecastResponse.json();
-
-            // If observation is from a station far away (>20km) or old, prefer forecast data
-            let useForecastForCurrent = false;
-            if (observationData && this.currentStationInfo) {
-                const stationDistance = parseFloat(this.currentStationInfo.distance);
-                const obsTime = observationData.properties?.timestamp;
-                const isOld = obsTime && (Date.now() - new Date(obsTime).getTime()) > 3600000; // > 1 hour old
-                
-                if (stationDistance > 20 || isOld) {
-                    useForecastForCurrent = true;
-                    console.log(`Station too far (${stationDistance}km) or old, using forecast data`);
-                }
-            }
-
-            // Use hourly forecast for current conditions if observation is poor
-            if (useForecastForCurrent && hourlyData?.properties?.periods?.length > 0) {
-                const currentForecast = hourlyData.properties.periods[0];
-                // Create observation-like structure from forecast
-                const forecastWindSpeed = this.parseWindSpeed(currentForecast.windSpeed);
-                const forecastWindDir = currentForecast.windDirection?.value || 0;
-                
-                if (forecastWindSpeed > 0) {
-                    observationData = {
-                        properties: {
-                            windSpeed: { value: forecastWindSpeed * 0.514444 }, // knots to m/s
-                            windDirection: { value: forecastWindDir },
-                            temperature: { value: ((currentForecast.temperature - 32) * 5/9) }, // F to C
-                            textDescription: currentForecast.shortForecast || 'Forecast data',
-                            timestamp: currentForecast.startTime
-                        },
-                        source: 'forecast'
-                    };
-                }
-            }
-
-            this.weatherData = {
-                observation: observationData,
-                hourlyForecast: hourlyData,
-                forecast: forecastData,
-                point: pointData,
-                useForecast: useForecastForCurrent
-            };
-            
-            // Update source info immediately after weather data is loaded
-            this.updateDataSourceInfo();
+    saveRecentSearch(candidate) {
+        const key = candidate => candidate.spotId || `${candidate.lat.toFixed(3)},${candidate.lon.toFixed(3)}`;
+        this.recentSearches = [
+            { ...candidate, source: 'recent' },
+            ...this.recentSearches.filter(item => key(item) !== key(candidate))
+        ].slice(0, this.recentSearchLimit);
+        localStorage.setItem('kiteflow.recentSearches', JSON.stringify(this.recentSearches));
+    }
 
-        } catch (error) {
-            console.error('Weather API error:', error);
-            // Fallback: use mock data or OpenWeatherMap if available
-            await this.loadFallbackWeatherData();
+    updateSearchSuggestions() {
+        // Type-ahead uses only local data: the public Nominatim server doesn't allow autocomplete
+        const query = document.getElementById('locationInput').value.trim();
+        const lowerQuery = query.toLowerCase();
+        const recent = this.recentSearches.filter(item =>
+            !query || `${item.displayName} ${item.detail}`.toLowerCase().includes(lowerQuery)
+        );
+        const spots = this.findSpotCandidates(query)
+            .filter(spot => !recent.some(item => item.spotId === spot.spotId));
+        
+        const candidates = [...spots, ...recent];
+        if (candidates.length === 0) {
+            this.hideSearchCandidates();
+            return;
         }
+        this.showSearchCandidates(candidates, query ? 'Press Enter to search all places' : null);
     }
 
-    async findBestObservationStation(stations, targetLat, targetLon) {
-        const stationPromises = stations.slice(0, 10).map(async (station) => {
-            try {
-                const stationId = station.properties.stationIdentifier;
-                const obsUrl = `https://api.weather.gov/stations/${stationId}/observations/latest`;
-                const obsResponse = await fetch(obsUrl);
-                
-                if (!obsResponse.ok) {
-                    return null;
-                }
-                
-                const obsData = await obsResponse.json();
-                const props = obsData.properties || {};
-                
-                // Check if we have wind data and it's recent (within last hour)
-                const windSpeed = props.windSpeed?.value;
-                const observationTime = props.timestamp ? new Date(props.timestamp) : null;
-                const isRecent = observationTime && (Date.now() - observationTime.getTime()) < 3600000; // 1 hour
-                
-                if (!windSpeed && !props.temperature?.value) {
-                    return null; // Station has no useful data
-                }
-                
-                // Calculate distance from target location
-                const stationCoords = station.geometry?.coordinates;
-                let distance = 999999;
-                if (stationCoords && stationCoords.length >= 2) {
-                    const stationLon = stationCoords[0];
-                    const stationLat = stationCoords[1];
-                    distance = this.calculateDistance(targetLat, targetLon, stationLat, stationLon);
-                }
-                
-                // Score the station
-                let score = 1000 / (distance + 1); // Closer = better score
-                if (windSpeed) score += 50; // Has wind data
-                if (isRecent) score += 100; // Recent data
-                
-                // Prefer coastal stations (check station name/id for keywords)
-                const stationName = (station.properties?.name || stationId || '').toLowerCase();
-                const coastalKeywords = ['beach', 'buoy', 'coast', 'marina', 'harbor', 'port', 'cape', 'dennis'];
-                if (coastalKeywords.some(keyword => stationName.includes(keyword))) {
-                    score += 200; // Big boost for coastal stations
-                }
-                
-                const stationDisplayName = station.properties?.name || stationId;
-                
-                return {
-                    data: obsData,
-                    distance,
-                    score,
-                    stationId,
-                    stationName: stationDisplayName,
-                    hasWind: !!windSpeed,
-                    isRecent
-                };
-            } catch (error) {
-                console.warn(`Error fetching station ${station.properties?.stationIdentifier}:`, error);
-                return null;
-            }
-        });
+    showSearchCandidates(candidates, status = null) {
+        this.searchCandidates = candidates;
+        this.searchPickReady = false;
+        this.searchHighlight = candidates.length > 0 ? 0 : -1;
         
-        const results = await Promise.all(stationPromises);
-        const validResults = results.filter(r => r !== null);
+        const labels = { spot: '🪁', recent: '🕘', place: '📍' };
+        // Names and details come from Nominatim (and the query from the user), so they are escaped
+        document.getElementById('searchCandidates').innerHTML = candidates.map((candidate, index) => `
+            <li class="search-candidate" data-index="${index}">
+                <span class="candidate-icon">${labels[candidate.source]}</span>
+                <div>
+                    <div class="candidate-name">${escapeHtml(candidate.name)}</div>
+                    <div class="candidate-detail">${escapeHtml(candidate.type)} • ${escapeHtml(candidate.detail)}</div>
+                </div>
+            </li>
+        `).join('') + (status ? `<li class="search-status">${escapeHtml(status)}</li>` : '');
         
-        if (validResults.length === 0) {
-            return null;
-        }
+        document.querySelectorAll('#searchCandidates .search-candidate').forEach(item => {
+            const index = parseInt(item.dataset.index, 10);
+            item.addEventListener('click', () => this.highlightSearchCandidate(index));
+            item.addEventListener('dblclick', () => this.confirmSearchCandidate(index));
+        });
         
-        // Sort by score (best first)
-        validResults.sort((a, b) => b.score - a.score);
+        document.getElementById('searchResults').classList.remove('hidden');
+        this.highlightSearchCandidate(this.searchHighlight);
+    }
+
+    hideSearchCandidates() {
+        this.searchRequests?.abort();
+        this.searchRequests = null;
+        this.searchCandidates = [];
+        this.searchPickReady = false;
+        document.getElementById('searchResults').classList.add('hidden');
+    }
+
+    highlightSearchCandidate(index) {
+        this.searchHighlight = index;
+        document.querySelectorAll('#searchCandidates .search-candidate').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.index, 10) === index);
+        });
         
-        // Log which station we're using for debugging
-        const best = validResults[0];
-        console.log(`Using station: ${best.stationName} (${best.stationId}), distance: ${best.distance.toFixed(2)}km`);
+        const candidate = this.searchCandidates[index];
+        const preview = document.querySelector('#searchResults .search-preview');
+        preview.classList.toggle('hidden', !candidate);
+        document.getElementById('searchConfirmBtn').disabled = !candidate;
+        if (!candidate) return;
         
-        // Store station info for display
-        this.currentStationInfo = {
-            name: best.stationName,
-            id: best.stationId,
-            distance: best.distance.toFixed(1)
-        };
+        // One small map shows where the highlighted candidate is before anything loads
+        if (!this.searchPreviewMap) {
+            const sourceId = localStorage.getItem('kiteflow.tileSource');
+            this.searchPreviewMap = new MapView(document.getElementById('searchPreviewMap'), {
+                tileSource: KITEFLOW_TILE_SOURCES[sourceId] || Object.values(KITEFLOW_TILE_SOURCES)[0],
+                zoom: 9
+            });
+        }
+        this.searchPreviewMap.setView(candidate.lat, candidate.lon);
+        this.searchPreviewMap.setMarkers([{ lat: candidate.lat, lon: candidate.lon, className: 'location-marker', html: '📍' }]);
+    }
+
+    moveSearchHighlight(step) {
+        if (this.searchCandidates.length === 0) return;
+        const count = this.searchCandidates.length;
+        this.highlightSearchCandidate((this.searchHighlight + step + count) % count);
+        this.searchPickReady = true;
+    }
+
+    confirmSearchCandidate(index = this.searchHighlight) {
+        const candidate = this.searchCandidates[index];
+        if (!candidate) return;
         
-        return best.data;
+        this.saveRecentSearch(candidate);
+        const spot = candidate.spotId ? this.getSpotById(candidate.spotId) : null;
+        this.setCurrentLocation({ lat: candidate.lat, lon: candidate.lon, name: candidate.displayName }, spot);
+        this.showSuccessMessage(`✓ ${candidate.displayName}`);
+        this.loadInitialData();
     }
 
-    calculateDistance(lat1, lon1, lat2, lon2) {
-        // Haversine formula to calculate distance in km
-        const R = 6371; // Earth's radius in km
-        const dLat = this.toRad(lat2 - lat1);
-        const dLon = this.toRad(lon2 - lon1);
-        const a = 
-            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
+    startLoad() {
+        // Only the newest load may touch the cards; starting one cancels the one before
+        this.activeLoad?.controller.abort();
+        this.activeLoad = { generation: ++this.loadGeneration, controller: new AbortController() };
+        return this.activeLoad;
     }
 
-    toRad(degrees) {
-        return degrees * (Math.PI / 180);
+    isCurrentLoad(load) {
+        return this.activeLoad === load && !load.controller.signal.aborted;
     }
 
-    async loadFallbackWeatherData() {
-        // Fallback using OpenWeatherMap (requires API key in production)
-        // For now, we'll create reasonable mock data based on location
-        const season = this.getSeason();
-        const baseWind = season === 'winter' ? 18 : 15;
+    async loadInitialData() {
+        const load = this.startLoad();
         
-        this.weatherData = {
-            observation: {
-                properties: {
-                    temperature: { value: season === 'winter' ? 35 : 72 },
-                    windSpeed: { value: baseWind * 0.514444 }, // Convert to m/s
-                    windDirection: { value: 270 }, // West wind
-                    textDescription: 'Clear'
-                }
-            },
-            hourlyForecast: {
-                properties: {
-                    periods: this.generateMockHourlyForecast(baseWind)
-                }
+        try {
+            this.showLoading(true);
+            this.hideError();
+
+            // Spots are needed for direction classification and spot tide stations
+            if (!this.spots) {
+                await this.loadSpots();
+                this.currentSpot = this.currentSpot || this.findSpotNear(this.currentLocation.lat, this.currentLocation.lon);
             }
-        };
+
+            // Everything below belongs to this location, even if the user moves on meanwhile
+            const location = this.currentLocation;
+            const spot = this.currentSpot;
+            const [weather, tide, alerts, marine] = await Promise.all([
+                this.loadWeatherData(location, load.controller.signal),
+                this.loadTideData(location, spot, load.controller.signal),
+                this.loadAlerts(location, load.controller.signal),
+                this.loadMarineData(location, load.controller.signal)
+            ]);
+            
+            // A newer load has started - its results are the ones to show
+            if (!this.isCurrentLoad(load)) return;
+            
+            this.weatherData = weather;
+            this.currentStationInfo = weather?.stationInfo || null;
+            this.tideData = tide.tideData;
+            this.currentTideStationInfo = tide.stationInfo;
+            this.alerts = alerts;
+            this.marineData = marine;
+            this.rememberSpotWind(spot, weather);
+            this.renderConditions();
+            // The spot may only be known now that spots.json has loaded
+            this.writeUrlState('replace');
+
+            if (!this.weatherData && !this.demoMode) {
+                this.showError('Live wind data is unavailable for this location right now. No conditions are shown rather than guessed ones.');
+            }
+
+        } catch (error) {
+            if (error.name === 'AbortError' || !this.isCurrentLoad(load)) {
+                console.log(`Load ${load.generation} cancelled - superseded by a newer one`);
+                return;
+            }
+            console.error('Error loading data:', error);
+            this.showError('Failed to load data. Please check your connection and try again.');
+            // Show the new location as unavailable rather than leaving the old one's cards up
+            this.renderConditions();
+        } finally {
+            if (this.activeLoad === load) {
+                this.showLoading(false);
+            }
+        }
     }
 
-    generateMockHourlyForecast(baseWind) {
-        const hours = [];
-        const now = new Date();
+    renderConditions() {
+        // Times on every card are the spot's, so settle its zone first
+        this.clock = this.getSpotClock(this.weatherData, this.currentTideStationInfo);
+        this.updateZoneLabels();
         
-        for (let i = 0; i < 24; i++) {
-            const time = new Date(now.getTime() + i * 3600000);
-            const windSpeed = baseWind + (Math.random() * 10 - 5); // Vary ±5 knots
-            hours.push({
-                startTime: time.toISOString(),
-                windSpeed: `${windSpeed.toFixed(0)} mph`,
-                windDirection: { value: 270 + (Math.random() * 60 - 30) },
-                temperature: 50 + (Math.sin(i / 12 * Math.PI) * 10),
-                shortForecast: 'Clear'
-            });
+        // Update all UI components
+        this.updateWindDisplay();
+        this.updateWaterDisplay();
+        this.calculateKiteSize();
+        this.updateSessionWindows();
+        this.updateForecast();
+        this.updateDailyForecast();
+        this.updateWindHistory();
+        this.updateTideDisplay();
+        this.updateSpotWindInfo();
+        this.updateSafetyAlerts();
+        this.updateOfficialAlertsBanner();
+        this.updateLogbookForm();
+        this.updateProvenanceBadges();
+        this.updateOfflineBanner();
+        this.loadPopularSpots();
+        this.updateMap();
+    }
+
+    async refreshConditions() {
+        // Background refresh: no spinner, and cached numbers stay up until fresh ones arrive
+        // Rides along with the current load rather than replacing it, and is dropped if that load is superseded
+        const load = this.activeLoad;
+        if (!load) return;
+        const location = this.currentLocation;
+        let weatherData, tide, alerts, marine;
+        try {
+            [weatherData, tide, alerts, marine] = await Promise.all([
+                this.fetchWeatherForLocation(location, load.controller.signal, true),
+                this.fetchTideForLocation(location, this.currentSpot, true, load.controller.signal, true),
+                this.loadAlerts(location, load.controller.signal),
+                this.loadMarineData(location, load.controller.signal)
+            ]);
+        } catch (error) {
+            if (error.name === 'AbortError' || !this.isCurrentLoad(load)) return;
+            // Started from the online event, so nothing upstream would catch this
+            console.error('Error refreshing data:', error);
+            this.showError('Failed to refresh data. The conditions shown may be out of date.');
+            return;
         }
+        if (!this.isCurrentLoad(load) || this.demoMode) return;
         
-        return hours;
+        if (weatherData) {
+            this.weatherData = weatherData;
+            this.currentStationInfo = weatherData.stationInfo || null;
+        }
+        if (tide.tideData) {
+            this.tideData = tide.tideData;
+            this.currentTideStationInfo = tide.stationInfo;
+        }
+        if (alerts) {
+            this.alerts = alerts;
+        }
+        if (marine) {
+            this.marineData = marine;
+        }
+        this.updateDataSourceInfo();
+        this.renderConditions();
+        if (weatherData && !this.getCachedAt(weatherData)) {
+            this.hideError();
+        }
     }
 
-    getSeason() {
-        const month = new Date().getMonth();
-        return month >= 11 || month <= 2 ? 'winter' : 'summer';
+    async loadWeatherData(location, signal) {
+        // Returns the data rather than storing it, so a superseded load can't overwrite a newer one
+        if (this.demoMode) {
+            return this.generateMockWeatherData();
+        }
+
+        return this.fetchWeatherForLocation(location, signal, true);
     }
 
-    async loadTideData() {
-        // NOAA Tides API - Using closest station to Cape Cod
-        const stationId = '8443970'; // Boston station (closest to Cape Cod)
-        const baseUrl = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
-        const date = new Date().toISOString().split('T')[0];
-        
+    async loadAlerts(location, signal = null) {
+        // Official NWS alerts; [] outside NWS coverage, null when they couldn't be checked
+        if (this.demoMode || !this.officialAlerts.covers(location.lat, location.lon)) {
+            return [];
+        }
         try {
-            const url = `${baseUrl}?product=predictions&application=NOS.COOPS.TAC.WL&begin_date=${date}&end_date=${date}&datum=MLLW&station=${stationId}&time_zone=lst_ldt&units=english&interval=hilo&format=json`;
-            
-            const response = await fetch(url);
-            if (response.ok) {
-                const data = await response.json();
-                this.tideData = data;
-            } else {
-                throw new Error('Tide data unavailable');
-            }
+            return await this.officialAlerts.load(location, signal);
         } catch (error) {
-            console.error('Tide API error:', error);
-            // Generate mock tide data
-            this.tideData = this.generateMockTideData();
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not fetch NWS alerts:', error);
+            return null;
         }
     }
 
-    generateMockTideData() {
+    async loadMarineData(location, signal = null) {
+        // Nearest buoy's water and waves; null in demo mode, out of range or when NDBC can't be reached
+        if (this.demoMode) {
+            return null;
+        }
+        try {
+            return await this.buoys.load(location, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not fetch buoy data:', error);
+            return null;
+        }
+    }
+
+    async fetchWeatherForLocation(location, signal = null, persist = false) {
+        // Try each provider that covers this location, most local first.
+        // Only the location on screen is saved for offline use (persist), so dashboard and
+        // map fetches can't push its last-known conditions out of the small cache
+        const providers = this.weatherProviders.filter(provider =>
+            provider.covers(location.lat, location.lon)
+        );
+
+        for (const provider of providers) {
+            try {
+                const data = await provider.load(location, signal);
+                console.log(`Weather data for ${location.name} from ${provider.label}`);
+                const weatherData = {
+                    ...data,
+                    provenance: data.observation && !data.observation.source ? 'live' : 'forecast'
+                };
+                if (persist) {
+                    this.saveCachedConditions(location, { weather: weatherData });
+                }
+                return weatherData;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`${provider.label} failed:`, error);
+            }
+        }
+
+        // Offline or every provider failed: the last real data we had, clearly marked with its age
+        const cached = this.getCachedConditions(location)?.weather;
+        if (cached) {
+            console.log(`Using cached weather for ${location.name} from ${new Date(cached.savedAt).toLocaleString()}`);
+            return this.restoreCachedWeather(cached);
+        }
+
+        // Never substitute made-up numbers for real ones - show the unavailable state instead
+        console.error(`Weather API error: no provider could load ${location.name}`);
+        return null;
+    }
+
+    async fetchCurrentWind(location, signal = null) {
+        // Current wind only, for markers: a fraction of a full load's requests and never cached offline
+        const providers = this.weatherProviders.filter(provider =>
+            provider.covers(location.lat, location.lon)
+        );
+
+        for (const provider of providers) {
+            try {
+                return this.getCurrentWind(await provider.loadCurrentWind(location, signal));
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`${provider.label} current wind failed:`, error);
+            }
+        }
+        return null;
+    }
+
+    getConditionsCacheKey(location) {
+        // About 1km of rounding, so a search and a spot button for the same beach share an entry
+        return `${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+    }
+
+    loadConditionsCache() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('kiteflow.conditionsCache') || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Ignoring invalid conditions cache:', error);
+            return {};
+        }
+    }
+
+    getCachedConditions(location) {
+        return this.loadConditionsCache()[this.getConditionsCacheKey(location)] || null;
+    }
+
+    saveCachedConditions(location, { weather, tide }) {
+        const cache = this.loadConditionsCache();
+        const key = this.getConditionsCacheKey(location);
+        const entry = cache[key] || { name: location.name };
+        const savedAt = Date.now();
+        if (weather) entry.weather = { savedAt, data: weather };
+        if (tide) entry.tide = { savedAt, ...tide };
+        entry.usedAt = savedAt;
+        cache[key] = entry;
+        
+        // Keep the most recently used locations; forecasts are big and localStorage is small
+        const keys = Object.keys(cache).sort((a, b) => cache[b].usedAt - cache[a].usedAt);
+        keys.splice(this.conditionsCacheSize).forEach(oldKey => delete cache[oldKey]);
+        while (keys.length > 0) {
+            try {
+                localStorage.setItem('kiteflow.conditionsCache', JSON.stringify(cache));
+                return;
+            } catch (error) {
+                // Quota exceeded - drop the oldest entry and try again
+                const oldest = keys.pop();
+                delete cache[oldest];
+                if (oldest === key) return;
+            }
+        }
+    }
+
+    restoreCachedWeather(cached) {
+        // Hours that have already passed are no use to a forecast
+        const data = JSON.parse(JSON.stringify(cached.data));
+        const periods = data.hourlyForecast?.properties?.periods;
+        if (periods) {
+            data.hourlyForecast.properties.periods = periods.filter(period =>
+                new Date(period.endTime || period.startTime).getTime() > Date.now()
+            );
+        }
+        return { ...data, provenance: 'cached', cachedAt: cached.savedAt };
+    }
+
+    getCachedAt(data) {
+        return data?.provenance === 'cached' ? data.cachedAt : null;
+    }
+
+    formatDataAge(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 2) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours}h ago`;
+        return `${Math.round(hours / 24)} days ago`;
+    }
+
+    updateOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const cachedAt = this.getCachedAt(this.weatherData) || this.getCachedAt(this.tideData);
+        const offline = navigator.onLine === false;
+        
+        if (!offline && !cachedAt) {
+            banner.classList.add('hidden');
+            return;
+        }
+        banner.textContent = cachedAt
+            ? `📡 ${offline ? 'Offline' : 'Could not reach the weather services'}: showing conditions saved ${this.formatDataAge(cachedAt)} (${new Date(cachedAt).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })}). They will refresh when you're back online.`
+            : '📡 Offline: no saved conditions for this location yet.';
+        banner.classList.remove('hidden');
+    }
+
+    getWeatherProvenance() {
+        return this.weatherData?.provenance || 'unavailable';
+    }
+
+    getTideProvenance() {
+        return this.tideData?.provenance || 'unavailable';
+    }
+
+    hasRealWeatherData() {
+        const provenance = this.getWeatherProvenance();
+        return provenance === 'live' || provenance === 'forecast';
+    }
+
+    getWeatherProvider(name) {
+        return this.weatherProviders.find(provider => provider.name === name) || null;
+    }
+
+    calculateDistance(lat1, lon1, lat2, lon2) {
+        // Haversine formula to calculate distance in km
+        const R = 6371; // Earth's radius in km
+        const dLat = this.toRad(lat2 - lat1);
+        const dLon = this.toRad(lon2 - lon1);
+        const a = 
+            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return R * c;
+    }
+
+    toRad(degrees) {
+        return degrees * (Math.PI / 180);
+    }
+
+    generateMockWeatherData() {
+        // Demo mode only - synthetic data so the UI can be explored without network access
+        const season = this.getSeason();
+        const baseWind = season === 'winter' ? 18 : 15;
+        
+        return {
+            observation: {
+                properties: {
+                    temperature: { value: season === 'winter' ? 2 : 22 }, // °C like real observations
+                    windSpeed: { value: baseWind * UNIT_FACTORS.knotsToMs },
+                    windDirection: { value: 270 }, // West wind
+                    textDescription: 'Clear (demo)'
+                },
+                source: 'synthetic'
+            },
+            hourlyForecast: {
+                properties: {
+                    periods: this.generateMockHourlyForecast(baseWind)
+                }
+            },
+            provenance: 'synthetic'
+        };
+    }
+
+    generateMockHourlyForecast(baseWind) {
+        const hours = [];
+        const now = new Date();
+        
+        for (let i = 0; i < 24; i++) {
+            const time = new Date(now.getTime() + i * 3600000);
+            const windSpeed = baseWind + (Math.random() * 10 - 5); // Vary ±5 knots
+            hours.push({
+                startTime: time.toISOString(),
+                windSpeed: `${windSpeed.toFixed(0)} mph`,
+                windDirection: { value: 270 + (Math.random() * 60 - 30) },
+                temperature: 50 + (Math.sin(i / 12 * Math.PI) * 10),
+                isDaytime: this.clock.hour(time) >= 7 && this.clock.hour(time) < 19,
+                shortForecast: 'Clear'
+            });
+        }
+        
+        return hours;
+    }
+
+    getSeason() {
+        const month = new Date().getMonth();
+        return month >= 11 || month <= 2 ? 'winter' : 'summer';
+    }
+
+    async loadTideData(location, spot, signal) {
+        if (this.demoMode) {
+            return { stationInfo: null, tideData: this.generateMockTideData() };
+        }
+        
+        return this.fetchTideForLocation(location, spot, true, signal, true);
+    }
+
+    async fetchTideForLocation(location, spot = null, includeCurve = true, signal = null, persist = false) {
+        // NOAA Tides API - Using the spot's station, or the prediction station closest to the location
+        // Times come back in GMT so they don't depend on the station's or the browser's zone;
+        // starting a day early covers the spot's whole local today wherever it is
+        const baseUrl = KITEFLOW_ENDPOINTS.tides;
+        const firstDay = new Date(Date.now() - 86400000);
+        const lastDay = new Date(Date.now() + this.forecastHorizonDays * 86400000);
+        const beginDate = firstDay.toISOString().slice(0, 10).replace(/-/g, ''); // NOAA wants yyyyMMdd
+        const endDate = lastDay.toISOString().slice(0, 10).replace(/-/g, '');
+        let stationInfo = null;
+        
+        try {
+            const station = spot?.tideStation
+                ? await this.findTideStationById(spot.tideStation, location.lat, location.lon, signal)
+                : await this.findNearestTideStation(location.lat, location.lon, signal);
+            
+            if (!station) {
+                // No station close enough to be meaningful - don't show another coast's tides
+                console.log(`No tide station within ${this.tideStationRadiusKm}km of ${location.name}`);
+                return { stationInfo: null, tideData: null };
+            }
+            
+            stationInfo = {
+                name: station.name,
+                id: station.id,
+                distance: station.distance.toFixed(1),
+                lat: station.lat ?? null,
+                lon: station.lon ?? null,
+                timeZoneOffset: station.timeZoneOffset ?? null
+            };
+            
+            const url = `${baseUrl}?product=predictions&application=NOS.COOPS.TAC.WL&begin_date=${beginDate}&end_date=${endDate}&datum=MLLW&station=${station.id}&time_zone=gmt&units=english&interval=hilo&format=json`;
+            
+            // Predictions for a station and date range never change, so cache them for hours
+            const data = await this.http.getJson(url, { ttl: 6 * 3600000, signal });
+            if (!data.predictions) {
+                throw new Error(data.error?.message || 'Tide data unavailable');
+            }
+            
+            // Water level every 6 minutes for the tide curve; the hi/lo events still work without it
+            let curve = null;
+            if (includeCurve) {
+                try {
+                    const curveData = await this.http.getJson(url.replace('interval=hilo', 'interval=6'), { ttl: 6 * 3600000, signal });
+                    curve = curveData?.predictions || null;
+                } catch (e) {
+                    if (e.name === 'AbortError') throw e;
+                    console.warn('Could not fetch tide curve:', e);
+                }
+            }
+            
+            const tideData = { ...data, curve, timeZone: 'gmt', provenance: 'forecast' };
+            if (persist) {
+                this.saveCachedConditions(location, { tide: { stationInfo, tideData } });
+            }
+            return { stationInfo, tideData };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Tide API error:', error);
+            // Predictions don't go stale like weather does, so a saved copy is still good
+            // Entries saved before tides were fetched in GMT would be hours off, so they're skipped
+            const cached = this.getCachedConditions(location)?.tide;
+            if (cached?.tideData?.timeZone === 'gmt') {
+                return {
+                    stationInfo: cached.stationInfo,
+                    tideData: { ...cached.tideData, provenance: 'cached', cachedAt: cached.savedAt }
+                };
+            }
+            return { stationInfo, tideData: null };
+        }
+    }
+
+    async loadTideStations(signal = null) {
+        // The station list rarely changes, so fetch it once per page load
+        if (this.tideStations) {
+            return this.tideStations;
+        }
+        
+        const url = `${KITEFLOW_ENDPOINTS.tideStations}?type=tidepredictions`;
+        const data = await this.http.getJson(url, { ttl: 24 * 3600000, signal });
+        this.tideStations = (data.stations || [])
+            .filter(station => station.id && !isNaN(parseFloat(station.lat)) && !isNaN(parseFloat(station.lng)))
+            .map(station => ({
+                id: station.id,
+                name: station.state ? `${station.name}, ${station.state}` : station.name,
+                lat: parseFloat(station.lat),
+                lon: parseFloat(station.lng),
+                // Hours from UTC in standard time, a fallback when the weather provider gives no zone
+                timeZoneOffset: Number.isInteger(parseFloat(station.timezonecorr)) ? parseFloat(station.timezonecorr) : null
+            }));
+        
+        return this.tideStations;
+    }
+
+    async findNearestTideStation(targetLat, targetLon, signal = null) {
+        const stations = await this.loadTideStations(signal);
+        
+        // Rank stations by distance from target location (closest first)
+        const ranked = stations
+            .map(station => ({
+                ...station,
+                distance: this.calculateDistance(targetLat, targetLon, station.lat, station.lon)
+            }))
+            .sort((a, b) => a.distance - b.distance);
+        
+        const best = ranked[0];
+        if (!best || best.distance > this.tideStationRadiusKm) {
+            return null;
+        }
+        
+        console.log(`Using tide station: ${best.name} (${best.id}), distance: ${best.distance.toFixed(2)}km`);
+        return best;
+    }
+
+    async findTideStationById(stationId, targetLat, targetLon, signal = null) {
+        // Spots can pin a tide station; still report its distance like the nearest-station lookup
+        let station = null;
+        try {
+            const stations = await this.loadTideStations(signal);
+            station = stations.find(s => s.id === stationId) || null;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Could not load tide station list:', error);
+        }
+        
+        if (!station) {
+            return { id: stationId, name: `Station ${stationId}`, distance: 0 };
+        }
+        
+        return {
+            ...station,
+            distance: this.calculateDistance(targetLat, targetLon, station.lat, station.lon)
+        };
+    }
+
+    parseTideTime(timeStr) {
+        // NOAA returns "YYYY-MM-DD HH:MM", requested in GMT
+        return new Date(`${timeStr.replace(' ', 'T')}:00Z`);
+    }
+
+    getTideEvents(tideData = this.tideData) {
+        // High/low events as dates, for anything that needs the tide at a future time
+        return (tideData?.predictions || []).map(pred => ({
+            time: this.parseTideTime(pred.t),
+            height: parseFloat(pred.v),
+            type: pred.type
+        }));
+    }
+
+    getNextTideEvent(tideData = this.tideData, after = new Date(), type = null) {
+        return this.getTideEvents(tideData).find(event =>
+            event.time > after && (!type || event.type === type)
+        ) || null;
+    }
+
+    getTidePhase(tideData, now = new Date()) {
+        const predictions = tideData?.predictions || [];
+        const nextEvent = predictions.find(pred => this.parseTideTime(pred.t) > now);
+        if (!nextEvent) return null;
+        
+        return {
+            phase: nextEvent.type === 'H' ? 'Rising' : 'Falling',
+            nextEvent,
+            nextTime: this.parseTideTime(nextEvent.t)
+        };
+    }
+
+    getTideStateAt(tideData, time) {
+        const state = this.getTideStateFromEvents(tideData, time);
+        const curveHeight = this.getTideCurveHeightAt(tideData, time);
+        
+        // The fine-interval curve is more accurate than interpolating between events
+        if (state && curveHeight !== null) {
+            return { ...state, height: curveHeight };
+        }
+        return state;
+    }
+
+    getTideCurve(tideData) {
+        // The 6-minute curve as [{ time (ms), height }], parsed once per tide data set
+        const curve = tideData?.curve;
+        if (!curve) return [];
+        if (!this.tideCurves.has(curve)) {
+            this.tideCurves.set(curve, curve.map(point => ({
+                time: this.parseTideTime(point.t).getTime(),
+                height: parseFloat(point.v)
+            })));
+        }
+        return this.tideCurves.get(curve);
+    }
+
+    getTideCurveHeightAt(tideData, time) {
+        const curve = this.getTideCurve(tideData);
+        const ms = new Date(time).getTime();
+        if (curve.length < 2 || ms < curve[0].time || ms > curve[curve.length - 1].time) return null;
+        
+        // Binary search for the last point at or before `time`
+        let low = 0;
+        let high = curve.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (curve[mid].time <= ms) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const prev = curve[low];
+        const next = curve[high];
+        const fraction = (ms - prev.time) / ((next.time - prev.time) || 1);
+        return prev.height + (next.height - prev.height) * fraction;
+    }
+
+    getTideRate(tideData, time) {
+        // Feet per hour, measured across the hour centred on `time`
+        const before = this.getTideStateAt(tideData, new Date(time.getTime() - 1800000));
+        const after = this.getTideStateAt(tideData, new Date(time.getTime() + 1800000));
+        return before && after ? after.height - before.height : null;
+    }
+
+    getTideStateFromEvents(tideData, time) {
+        // Cosine interpolation between the surrounding high/low events
+        const events = this.getTideEvents(tideData);
+        
+        for (let i = 0; i < events.length - 1; i++) {
+            const prev = events[i];
+            const next = events[i + 1];
+            if (time >= prev.time && time <= next.time) {
+                const fraction = (time - prev.time) / (next.time - prev.time);
+                const height = prev.height + (next.height - prev.height) * (1 - Math.cos(Math.PI * fraction)) / 2;
+                const low = Math.min(prev.height, next.height);
+                const high = Math.max(prev.height, next.height);
+                const level = (height - low) / ((high - low) || 1);
+                return {
+                    height,
+                    rising: next.type === 'H',
+                    stage: level < 0.33 ? 'low' : (level < 0.67 ? 'mid' : 'high')
+                };
+            }
+        }
+        
+        return null; // Outside the predicted range
+    }
+
+    generateMockTideData() {
         const now = new Date();
         const predictions = [];
         
-        // Generate 4 tide events (2 high, 2 low) for today
-        for (let i = 0; i < 4; i++) {
-            const time = new Date(now.getTime() + i * 6 * 3600000);
+        // Generate alternating high/low events across the forecast horizon
+        const eventCount = Math.ceil(this.forecastHorizonDays * 24 / 6.2);
+        for (let i = 0; i < eventCount; i++) {
+            const time = new Date(now.getTime() + i * 6.2 * 3600000);
             const isHigh = i % 2 === 0;
             const type = isHigh ? 'H' : 'L';
             const height = isHigh ? (8.5 + Math.random()) : (0.5 + Math.random());
             
-            const timeStr = time.toISOString().split('T')[0] + ' ' + 
-                          time.toTimeString().split(' ')[0].substring(0, 5);
-            
             predictions.push({
-                t: timeStr,
+                t: this.formatTideTime(time),
                 v: height.toFixed(2),
                 type: type
             });
         }
         
-        return { predictions };
+        const mockData = { predictions, timeZone: 'gmt', provenance: 'synthetic' };
+        
+        // Synthetic curve from the synthetic events, so the tide chart has something to draw
+        mockData.curve = [];
+        const first = this.parseTideTime(predictions[0].t).getTime();
+        const last = this.parseTideTime(predictions[predictions.length - 1].t).getTime();
+        for (let time = first; time <= last; time += 360000) {
+            const date = new Date(time);
+            const state = this.getTideStateFromEvents(mockData, date);
+            if (state) {
+                mockData.curve.push({ t: this.formatTideTime(date), v: state.height.toFixed(3) });
+            }
+        }
+        
+        return mockData;
+    }
+
+    formatTideTime(date) {
+        // Inverse of parseTideTime: "YYYY-MM-DD HH:MM" in GMT
+        return date.toISOString().slice(0, 16).replace('T', ' ');
     }
 
     parseWindSpeed(windSpeedStr) {
@@ -557,7 +1432,9 @@ class KiteFlow {
         
         // Convert to knots
         if (unit.includes('mph')) {
-            return speed * 0.868976; // mph to knots
+            return speed * UNIT_FACTORS.mphToKnots;
+        } else if (unit.includes('km/h')) {
+            return speed * UNIT_FACTORS.kmhToKnots;
         } else if (unit.includes('kt') || unit.includes('knot')) {
             return speed;
         } else {
@@ -566,41 +1443,98 @@ class KiteFlow {
         }
     }
 
-    updateWindDisplay() {
-        if (!this.weatherData || !this.weatherData.observation) {
-            return;
-        }
+    parseWindDirection(direction) {
+        // Accept degrees, a { value } object, or compass text like "SW".
+        // Missing or variable ("VRB") is null - never 0°, which would read as a north wind
+        if (direction === undefined || direction === null) return null;
+        if (typeof direction === 'number') return direction;
+        if (typeof direction === 'object') return direction.value ?? null;
+        
+        const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 
+                           'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const index = directions.indexOf(direction.toString().trim().toUpperCase());
+        return index >= 0 ? index * 22.5 : null;
+    }
 
-        const obs = this.weatherData.observation.properties;
+    getCurrentWind(weatherData = this.weatherData) {
+        const obs = weatherData?.observation?.properties;
+        if (!obs) return null;
         
-        // Handle both observation format (m/s) and forecast format (knots or mph)
-        let windSpeedKnots = 0;
+        // Handle both observation format (km/h or m/s, per unitCode) and forecast format (knots or mph)
+        let speed = 0;
         if (obs.windSpeed?.value !== undefined) {
-            // Observation data is in m/s
-            const windSpeedMs = obs.windSpeed.value || 0;
-            windSpeedKnots = windSpeedMs * 1.944; // Convert m/s to knots
+            speed = observedWindToKnots(obs.windSpeed) || 0;
         } else if (obs.windSpeedStr) {
-            // Forecast data might be in string format
-            windSpeedKnots = this.parseWindSpeed(obs.windSpeedStr);
+            speed = this.parseWindSpeed(obs.windSpeedStr);
+        }
+        
+        // Stations only report gusts when they are significant, so null means "none reported"
+        const gust = observedWindToKnots(obs.windGust);
+        
+        return {
+            speed,
+            gust: gust !== null ? Math.max(gust, speed) : null,
+            direction: obs.windDirection?.value ?? null // Unknown or variable
+        };
+    }
+
+    getGustMetrics(speed, gust) {
+        if (gust === null || gust === undefined || speed <= 0) return null;
+        
+        const spread = Math.max(0, gust - speed);
+        const factor = gust / speed;
+        let rating = 'Steady';
+        if (spread > 10 || factor >= 1.5) {
+            rating = 'Very gusty';
+        } else if (spread > 5 || factor >= 1.25) {
+            rating = 'Gusty';
         }
         
-        const windDirection = obs.windDirection?.value || 0;
+        return { spread, factor, rating };
+    }
+
+    updateWindDisplay() {
+        if (!this.weatherData || !this.weatherData.observation) {
+            // Clear previous location's numbers so nothing stale looks current
+            ['windSpeed', 'windGusts', 'temperature', 'gustFactor'].forEach(id => {
+                document.getElementById(id).textContent = '--';
+            });
+            document.getElementById('windDirection').textContent = '--';
+            document.getElementById('condition').textContent = 'Data unavailable';
+            this.updateDataSourceInfo();
+            return;
+        }
+
+        const obs = this.weatherData.observation.properties;
+        const wind = this.getCurrentWind();
+        const windSpeedKnots = wind.speed;
+        const windDirection = wind.direction;
         const tempC = obs.temperature?.value || 0;
-        const tempF = (tempC * 9/5) + 32;
+        const tempF = celsiusToFahrenheit(tempC);
 
         // Update wind speed
-        document.getElementById('windSpeed').textContent = windSpeedKnots.toFixed(0);
+        document.getElementById('windSpeed').textContent = this.units.value('wind', windSpeedKnots);
         
         // Update wind direction arrow
         this.updateWindArrow(windDirection);
         document.getElementById('windDirection').textContent = this.getWindDirectionText(windDirection);
 
-        // Update gusts (estimate if not available)
-        const gusts = windSpeedKnots * 1.3; // Estimate gusts as 30% higher
-        document.getElementById('windGusts').textContent = gusts.toFixed(0);
+        // Update gusts - measured or forecast only, never estimated
+        document.getElementById('windGusts').textContent = this.units.value('wind', wind.gust);
+        
+        const gustMetrics = this.getGustMetrics(windSpeedKnots, wind.gust);
+        const gustFactor = document.getElementById('gustFactor');
+        if (gustMetrics) {
+            gustFactor.textContent = `${gustMetrics.factor.toFixed(2)}× • ${gustMetrics.rating} ` +
+                `(lull ${this.units.value('wind', windSpeedKnots)} → gust ${this.units.wind(wind.gust)}, spread ${this.units.windSpread(gustMetrics.spread)})`;
+        } else if (this.weatherData.observation.source) {
+            gustFactor.textContent = 'No gust data';
+        } else {
+            gustFactor.textContent = 'No gusts reported';
+        }
 
         // Update temperature
-        document.getElementById('temperature').textContent = tempF.toFixed(0);
+        document.getElementById('temperature').textContent = this.units.value('temperature', tempF);
 
         // Update condition
         document.getElementById('condition').textContent = obs.textDescription || 'Clear';
@@ -609,25 +1543,130 @@ class KiteFlow {
         this.updateDataSourceInfo();
     }
 
-    updateDataSourceInfo() {
-        const sourceInfo = document.getElementById('sourceInfo');
-        if (!sourceInfo) return;
-        
-        // If no weather data yet, show loading state
-        if (!this.weatherData) {
-            sourceInfo.textContent = 'Loading...';
+    updateWaterDisplay() {
+        const marine = this.marineData;
+        const waterTemp = document.getElementById('waterTemp');
+        const waveInfo = document.getElementById('waveInfo');
+        const wetsuit = document.getElementById('wetsuitAdvice');
+        const buoyInfo = document.getElementById('buoyInfo');
+
+        if (!marine) {
+            waterTemp.textContent = '--';
+            waveInfo.textContent = '--';
+            wetsuit.textContent = 'No water temperature nearby';
+            buoyInfo.textContent = this.demoMode
+                ? 'Not shown in demo mode'
+                : `No NDBC buoy or C-MAN station reporting within ${this.units.distance(BUOY_SEARCH_RADIUS_KM)}`;
             return;
         }
-        
-        // If we have station info, use it
-        if (this.currentStationInfo && this.currentStationInfo.name) {
-            const stationName = this.currentStationInfo.name;
-            const distance = this.currentStationInfo.distance;
-            let text = `${stationName}`;
-            if (distance) {
-                text += ` (${distance}km away)`;
-            }
-            
+
+        waterTemp.textContent = marine.waterTemp !== null ? this.units.temperature(marine.waterTemp) : 'Not reported';
+        const seaState = this.describeSeaState(marine);
+        waveInfo.innerHTML = seaState
+            ? `<span class="sea-state ${seaState.level}">${seaState.label}</span> ${seaState.detail}`
+            : 'Not reported';
+
+        if (marine.waterTemp !== null) {
+            const windSpeed = this.hasRealWeatherData() ? this.getCurrentWind()?.speed || 0 : 0;
+            const suit = this.recommendWetsuit(marine.waterTemp, windSpeed);
+            wetsuit.textContent = suit.label + (suit.windChill ? ' (a step warmer for the wind chill)' : '') +
+                (marine.station.distance > BUOY_COLD_WATER_RADIUS_KM ? ' - the buoy is far out, check the water at the spot' : '');
+        } else {
+            wetsuit.textContent = 'No water temperature at this station';
+        }
+
+        const station = marine.station;
+        buoyInfo.textContent = `${station.type === 'C-MAN' ? 'C-MAN station' : 'Buoy'} ${station.name} (${station.id}), ` +
+            `${this.units.distance(station.distance, 1)} away • ${this.clock.formatTime(marine.time)} ${this.clock.label(marine.time)}`;
+    }
+
+    recommendWetsuit(waterTemp, windKnots = 0) {
+        // The usual surf-shop chart by water temperature (°F); a wet rider in strong wind needs a step warmer
+        const suits = [
+            { min: 75, short: 'No suit', label: 'Boardshorts or a rash guard' },
+            { min: 69, short: 'Shorty', label: 'Neoprene top or 1-2 mm shorty' },
+            { min: 63, short: 'Spring suit', label: '2 mm shorty or 3/2 mm spring suit' },
+            { min: 58, short: '3/2', label: '3/2 mm full suit' },
+            { min: 52, short: '4/3 + booties', label: '4/3 mm full suit and booties' },
+            { min: 46, short: '5/4 hooded', label: '5/4 mm hooded suit, booties and gloves' },
+            { min: -Infinity, short: '6/5 or drysuit', label: '6/5 mm hooded suit or a drysuit, booties and mittens' }
+        ];
+        let index = suits.findIndex(suit => waterTemp >= suit.min);
+        const windChill = windKnots >= 20 && index < suits.length - 1;
+        if (windChill) index++;
+        return { ...suits[index], windChill };
+    }
+
+    describeSeaState(marine) {
+        // Ride quality from the buoy's waves: height says how big, the period how steep.
+        // Buoys sit offshore, so a sheltered spot can be flatter than this
+        if (!marine || marine.waveHeight === null) return null;
+        const height = marine.waveHeight;
+        const period = marine.dominantPeriod;
+
+        let state;
+        if (height < 1) {
+            state = { label: 'Flat', level: 'flat' };
+        } else if (height >= 8) {
+            state = { label: 'Big waves', level: 'big' };
+        } else if (period !== null && period >= 9) {
+            state = { label: 'Swell', level: 'swell' }; // Long, spaced-out waves with clean faces
+        } else if (height >= 3) {
+            state = { label: 'Rough chop', level: 'rough' };
+        } else {
+            state = { label: height < 2 ? 'Light chop' : 'Choppy', level: 'chop' };
+        }
+
+        let detail = this.units.height(height);
+        if (period !== null) detail += ` @ ${Math.round(period)}s`;
+        if (marine.waveDirection !== null) detail += ` from ${this.getWindDirectionText(marine.waveDirection)}`;
+        return { ...state, detail };
+    }
+
+    formatWaterSummary(marine) {
+        // One line for the dashboards: water temperature, suit and sea state
+        if (!marine) return 'No buoy nearby';
+        const parts = [];
+        if (marine.waterTemp !== null) {
+            parts.push(`${this.units.temperature(marine.waterTemp)} (${this.recommendWetsuit(marine.waterTemp).short})`);
+        }
+        const seaState = this.describeSeaState(marine);
+        if (seaState) {
+            parts.push(`<span class="sea-state ${seaState.level}">${seaState.label}</span> ${seaState.detail}`);
+        }
+        return parts.length > 0 ? parts.join(' • ') : 'Not reported';
+    }
+
+    updateDataSourceInfo() {
+        const sourceInfo = document.getElementById('sourceInfo');
+        if (!sourceInfo) return;
+        
+        // No provider answered - say so rather than showing a source
+        if (!this.weatherData) {
+            sourceInfo.textContent = this.demoMode ? 'Loading...' : 'Weather data unavailable';
+            return;
+        }
+        
+        if (this.getWeatherProvenance() === 'synthetic') {
+            sourceInfo.textContent = 'Demo mode • synthetic data, not real conditions';
+            return;
+        }
+        
+        if (this.getWeatherProvenance() === 'cached') {
+            const provider = this.getWeatherProvider(this.weatherData.provider);
+            sourceInfo.textContent = `${this.currentStationInfo?.name || (provider ? provider.label : 'Saved data')} • saved ${new Date(this.weatherData.cachedAt).toLocaleString()}`;
+            return;
+        }
+        
+        // If we have station info, use it
+        if (this.currentStationInfo && this.currentStationInfo.name) {
+            const stationName = this.currentStationInfo.name;
+            const distance = this.currentStationInfo.distance;
+            let text = `${stationName}`;
+            if (distance) {
+                text += ` (${this.units.distance(parseFloat(distance), 1)} away)`;
+            }
+            
             if (this.weatherData?.useForecast) {
                 text += ' • Using forecast data';
             }
@@ -635,6 +1674,13 @@ class KiteFlow {
             return;
         }
         
+        // Global model data has no station behind it
+        if (this.weatherData?.provider && this.weatherData.provider !== 'weather.gov') {
+            const provider = this.getWeatherProvider(this.weatherData.provider);
+            sourceInfo.textContent = `${provider ? provider.label : this.weatherData.provider} (no nearby observation station)`;
+            return;
+        }
+        
         // Check if using forecast data
         if (this.weatherData?.observation?.source === 'forecast') {
             sourceInfo.textContent = 'Forecast data (nearest observation station unavailable)';
@@ -649,308 +1695,2214 @@ class KiteFlow {
         }
     }
 
-    updateWindArrow(direction) {
-        const arrow = document.getElementById('windArrow');
-        const line = document.getElementById('windLine');
-        const triangle = document.getElementById('windTriangle');
-        
-        if (!line || !triangle) return;
+    updateWindArrow(direction) {
+        const arrow = document.getElementById('windArrow');
+        const line = document.getElementById('windLine');
+        const triangle = document.getElementById('windTriangle');
+        
+        if (!line || !triangle) return;
+        
+        // No arrow rather than a made-up one when the direction is unknown
+        line.style.visibility = direction === null ? 'hidden' : '';
+        triangle.style.visibility = direction === null ? 'hidden' : '';
+        if (direction === null) return;
+
+        // Convert wind direction to arrow rotation
+        // Wind direction is where wind comes FROM, arrow points that way
+        const angle = (direction - 90) * (Math.PI / 180); // Adjust for SVG coordinates
+        
+        const centerX = 50;
+        const centerY = 50;
+        const length = 35;
+        
+        const endX = centerX + Math.cos(angle) * length;
+        const endY = centerY + Math.sin(angle) * length;
+        
+        // Update line
+        line.setAttribute('x2', endX);
+        line.setAttribute('y2', endY);
+        
+        // Update triangle (arrowhead)
+        const arrowSize = 8;
+        const tipX = endX;
+        const tipY = endY;
+        const baseAngle = angle + Math.PI;
+        
+        const point1X = tipX + Math.cos(baseAngle + 0.5) * arrowSize;
+        const point1Y = tipY + Math.sin(baseAngle + 0.5) * arrowSize;
+        const point2X = tipX + Math.cos(baseAngle - 0.5) * arrowSize;
+        const point2Y = tipY + Math.sin(baseAngle - 0.5) * arrowSize;
+        
+        triangle.setAttribute('points', `${tipX},${tipY} ${point1X},${point1Y} ${point2X},${point2Y}`);
+    }
+
+    getWindDirectionText(degrees) {
+        if (degrees === null || degrees === undefined) return '--';
+        const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 
+                           'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const index = Math.round(degrees / 22.5) % 16;
+        return directions[index];
+    }
+
+    loadRiderProfile() {
+        const defaults = {
+            weight: 180,
+            weightUnit: 'lb',
+            skill: 'intermediate',
+            board: 'twintip',
+            boardVolume: null,
+            quiver: []
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem('kiteflow.riderProfile') || '{}');
+            return { ...defaults, ...stored };
+        } catch (error) {
+            console.warn('Ignoring invalid rider profile:', error);
+            return defaults;
+        }
+    }
+
+    saveRiderProfile() {
+        const volume = parseFloat(document.getElementById('boardVolume').value);
+        this.riderProfile = {
+            weight: parseFloat(document.getElementById('riderWeight').value) || this.riderProfile.weight,
+            weightUnit: this.units.selected.weight,
+            skill: document.getElementById('riderSkill').value,
+            board: document.getElementById('boardType').value,
+            boardVolume: isNaN(volume) ? null : volume,
+            quiver: this.parseQuiver(document.getElementById('kiteQuiver').value)
+        };
+        localStorage.setItem('kiteflow.riderProfile', JSON.stringify(this.riderProfile));
+    }
+
+    applyRiderProfileToForm() {
+        const profile = this.riderProfile;
+        // Shown in the preferred weight unit whatever unit it was saved in
+        document.getElementById('riderWeight').value = this.units.value('weight', this.getRiderWeightLb());
+        document.getElementById('riderSkill').value = profile.skill;
+        document.getElementById('boardType').value = profile.board;
+        document.getElementById('boardVolume').value = profile.boardVolume || '';
+        document.getElementById('kiteQuiver').value = profile.quiver.join(', ');
+    }
+
+    parseQuiver(text) {
+        // "9, 12 14m" -> [9, 12, 14]
+        return (text.match(/\d+(?:\.\d+)?/g) || [])
+            .map(parseFloat)
+            .filter(size => size >= 2 && size <= 25)
+            .sort((a, b) => a - b);
+    }
+
+    getRiderWeightLb() {
+        const { weight, weightUnit } = this.riderProfile;
+        return (UNIT_OPTIONS.weight[weightUnit] || UNIT_OPTIONS.weight.lb).to(weight);
+    }
+
+    getRiderMinWind() {
+        const board = BOARD_TYPES[this.riderProfile.board] || BOARD_TYPES.twintip;
+        const volume = this.riderProfile.boardVolume;
+        // Big-volume surf and foil boards get going a little earlier
+        const volumeBonus = board !== BOARD_TYPES.twintip && volume ? Math.min(2, Math.max(0, (volume - 60) / 30)) : 0;
+        return board.minWind - volumeBonus;
+    }
+
+    getIdealKiteSize(windKnots) {
+        // General formula: base kite size depends on weight, adjusted by wind speed
+        const board = BOARD_TYPES[this.riderProfile.board] || BOARD_TYPES.twintip;
+        const skill = SKILL_LEVELS[this.riderProfile.skill] || SKILL_LEVELS.intermediate;
+        const baseSize = this.getRiderWeightLb() / 10; // Base size in m²
+        const windAdjustment = (15 - windKnots) / 3; // Adjust for wind speed
+        const kiteSize = (baseSize + windAdjustment) * board.sizeFactor * skill.sizeFactor;
+
+        // Clamp between reasonable limits for the board
+        return Math.max(board.minSize, Math.min(board.maxSize, kiteSize));
+    }
+
+    pickKiteFromQuiver(idealSize) {
+        // A kite covers roughly ±20% around the size it was picked for
+        const quiver = this.riderProfile.quiver;
+        if (quiver.length === 0) return null;
+        
+        const closest = quiver.reduce((best, size) =>
+            Math.abs(size - idealSize) < Math.abs(best - idealSize) ? size : best
+        );
+        return {
+            size: closest,
+            fits: Math.abs(closest - idealSize) <= idealSize * 0.2,
+            tooSmall: closest < idealSize
+        };
+    }
+
+    describeQuiverPick(idealSize) {
+        const pick = this.pickKiteFromQuiver(idealSize);
+        if (!pick) {
+            return 'Add the kites you own to get a pick from your quiver.';
+        }
+        if (pick.fits) {
+            return `Rig your ${pick.size} m².`;
+        }
+        return pick.tooSmall
+            ? `None of your kites fits: you'd want about ${idealSize.toFixed(0)} m² and your largest is ${pick.size} m² (underpowered).`
+            : `None of your kites fits: you'd want about ${idealSize.toFixed(0)} m² and your smallest is ${pick.size} m² (overpowered).`;
+    }
+
+    updateQuiverForecast() {
+        const forecastEl = document.getElementById('quiverForecast');
+        const windows = this.sessionWindows.slice(0, 3);
+        
+        if (!this.weatherData || windows.length === 0) {
+            forecastEl.innerHTML = '';
+            return;
+        }
+        
+        forecastEl.innerHTML = '<h3>Upcoming sessions</h3>' + windows.map(sessionWindow => {
+            const averageWind = (sessionWindow.minSpeed + sessionWindow.maxSpeed) / 2;
+            const ideal = this.getIdealKiteSize(averageWind);
+            const pick = this.pickKiteFromQuiver(ideal);
+            let kiteText = `~${ideal.toFixed(1)} m²`;
+            if (pick) {
+                kiteText = pick.fits ? `your ${pick.size} m²` : 'no kite in your quiver fits';
+            }
+            return `<div class="quiver-forecast-item"><span>${this.describeSessionWindow(sessionWindow)}</span><strong>${kiteText}</strong></div>`;
+        }).join('');
+    }
+
+    calculateKiteSize() {
+        if (!this.weatherData) {
+            document.querySelector('.size-number').textContent = '--';
+            document.getElementById('kiteRecommendation').textContent = 'No wind data available';
+            document.querySelector('.status-indicator').className = 'status-indicator';
+            document.querySelector('.status-text').textContent = 'Conditions unknown';
+            this.updateQuiverForecast();
+            return;
+        }
+
+        const wind = this.getCurrentWind() || { speed: 0, gust: null };
+        const windSpeedKnots = wind.speed;
+        const gustMetrics = this.getGustMetrics(windSpeedKnots, wind.gust);
+        const board = BOARD_TYPES[this.riderProfile.board] || BOARD_TYPES.twintip;
+        const skill = SKILL_LEVELS[this.riderProfile.skill] || SKILL_LEVELS.intermediate;
+        const minWind = this.getRiderMinWind();
+        const maxWind = skill.maxWind;
+
+        this.updateQuiverForecast();
+
+        if (windSpeedKnots === 0) {
+            document.querySelector('.size-number').textContent = '--';
+            document.getElementById('kiteRecommendation').textContent = 'No wind data available';
+            return;
+        }
+
+        // In gusty wind, size for the middle of the lull-gust range so gusts stay manageable
+        const sizingWind = gustMetrics && gustMetrics.spread > 5
+            ? windSpeedKnots + gustMetrics.spread / 2
+            : windSpeedKnots;
+        const idealSize = this.getIdealKiteSize(sizingWind);
+        const pick = this.pickKiteFromQuiver(idealSize);
+
+        document.querySelector('.size-number').textContent = pick && pick.fits ? pick.size : idealSize.toFixed(1);
+        
+        // Recommendation text
+        let recommendation = '';
+        if (windSpeedKnots < minWind) {
+            recommendation = board === BOARD_TYPES.foil
+                ? `Wind too light, even on a ${board.label}. Consider waiting.`
+                : `Wind too light for your ${board.label}. Consider waiting or using a foil board.`;
+        } else if (windSpeedKnots > 35) {
+            recommendation = 'Wind too strong. Expert riders only with small kites.';
+        } else if (windSpeedKnots > maxWind) {
+            recommendation = `Above the ${this.units.wind(maxWind)} limit we suggest for ${skill.label} riders.`;
+        } else if (windSpeedKnots <= 20) {
+            recommendation = 'Perfect conditions! Great for learning and cruising.';
+        } else {
+            recommendation = 'Strong wind - experienced riders recommended.';
+        }
+        
+        if (wind.gust !== null && wind.gust > 35 && windSpeedKnots <= 35) {
+            recommendation = `Gusts to ${this.units.wind(wind.gust)}. Expert riders only with small kites.`;
+        } else if (sizingWind !== windSpeedKnots) {
+            recommendation += ` Gusty (${this.units.windWithGust(windSpeedKnots, wind.gust)}): sized for ${this.units.wind(sizingWind)}.`;
+        }
+        
+        if (windSpeedKnots >= minWind && windSpeedKnots <= 35) {
+            recommendation += ` ${this.describeQuiverPick(idealSize)}`;
+        }
+
+        document.getElementById('kiteRecommendation').textContent = recommendation;
+
+        // Update wind status indicator
+        const spotWind = this.classifyWindForSpot(this.currentSpot, wind.direction);
+        const statusIndicator = document.querySelector('.status-indicator');
+        const statusText = document.querySelector('.status-text');
+        
+        if (windSpeedKnots < minWind) {
+            statusIndicator.className = 'status-indicator';
+            statusText.textContent = 'Light wind conditions';
+        } else if (windSpeedKnots > 35 || (wind.gust !== null && wind.gust > 35)) {
+            statusIndicator.className = 'status-indicator danger';
+            statusText.textContent = 'Very strong wind - be cautious';
+        } else if (spotWind && spotWind.relation === 'offshore') {
+            statusIndicator.className = 'status-indicator danger';
+            statusText.textContent = `Offshore wind at ${this.currentSpot.name}`;
+        } else if (spotWind && spotWind.relation === 'unknown') {
+            statusIndicator.className = 'status-indicator warning';
+            statusText.textContent = `Wind direction unknown at ${this.currentSpot.name}`;
+        } else if (gustMetrics && gustMetrics.spread > 10) {
+            statusIndicator.className = 'status-indicator warning';
+            statusText.textContent = `Very gusty - ${this.units.windSpread(gustMetrics.spread)} spread`;
+        } else if (windSpeedKnots <= Math.min(25, maxWind) && !this.hasRealWeatherData()) {
+            statusIndicator.className = 'status-indicator warning';
+            statusText.textContent = this.getWeatherProvenance() === 'cached'
+                ? 'Cached data - conditions may have changed'
+                : 'Synthetic data - not a real assessment';
+        } else if (windSpeedKnots <= Math.min(25, maxWind)) {
+            statusIndicator.className = 'status-indicator good';
+            statusText.textContent = 'Ideal kiting conditions!';
+        } else if (windSpeedKnots > maxWind) {
+            statusIndicator.className = 'status-indicator danger';
+            statusText.textContent = `Too strong for ${skill.label} riders`;
+        } else {
+            statusIndicator.className = 'status-indicator warning';
+            statusText.textContent = 'Strong wind - experienced kiters only';
+        }
+    }
+
+    updateForecast() {
+        const canvas = document.getElementById('forecastCanvas');
+        const container = document.getElementById('forecastChart');
+        const ctx = canvas.getContext('2d');
+        const periods = this.weatherData?.hourlyForecast?.properties?.periods || [];
+        
+        // The whole horizon gets a fixed width per hour; the container scrolls sideways
+        canvas.style.width = `${Math.max(container.clientWidth, periods.length * this.forecastHourWidth)}px`;
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+
+        if (periods.length < 2) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = '#666';
+            ctx.font = '14px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText('Forecast unavailable', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        // Extract wind speeds and forecast gusts (null where the source has none)
+        const windSpeeds = periods.map(p => this.parseWindSpeed(p.windSpeed || '0 mph'));
+        const windGusts = periods.map(p => p.windGust ? this.parseWindSpeed(p.windGust) : null);
+        const knownGusts = windGusts.filter(g => g !== null);
+
+        const maxWind = Math.max(...windSpeeds, ...knownGusts, 25);
+        const minWind = Math.min(...windSpeeds, 5);
+        const range = maxWind - minWind || 1;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 40;
+        const chartWidth = width - padding * 2;
+        const chartHeight = height - padding * 2;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Night and twilight behind everything else
+        const stepWidth = chartWidth / (periods.length - 1);
+        const chartStart = new Date(periods[0].startTime).getTime();
+        this.drawDarkness(ctx, chartStart, chartStart + (periods.length - 1) * 3600000,
+            time => padding + stepWidth * (time - chartStart) / 3600000, padding, chartHeight);
+
+        // Highlight session windows that fall inside the chart
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.15)';
+        this.sessionWindows.forEach(sessionWindow => {
+            const startIndex = periods.findIndex(p => p.startTime === sessionWindow.startTime);
+            if (startIndex === -1) return;
+            const endIndex = Math.min(startIndex + sessionWindow.hours - 1, periods.length - 1);
+            const x1 = padding + stepWidth * startIndex - stepWidth / 2;
+            const x2 = padding + stepWidth * endIndex + stepWidth / 2;
+            ctx.fillRect(Math.max(padding, x1), padding, Math.min(width - padding, x2) - Math.max(padding, x1), chartHeight);
+        });
+
+        // Draw grid
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 5; i++) {
+            const y = padding + (chartHeight / 5) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding, y);
+            ctx.lineTo(width - padding, y);
+            ctx.stroke();
+            
+            // Labels
+            ctx.fillStyle = '#666';
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'right';
+            const value = maxWind - (range / 5) * i;
+            ctx.fillText(this.units.wind(value), padding - 10, y + 4);
+        }
+
+        // Overlay the water level on the same time axis, scaled to its own height range
+        const forecastStart = new Date(periods[0].startTime).getTime();
+        const tidePoints = this.getTideCurve(this.tideData)
+            .filter(point => point.time >= forecastStart && point.time <= forecastStart + (periods.length - 1) * 3600000);
+        if (tidePoints.length > 1) {
+            const tideHeights = tidePoints.map(point => point.height);
+            const tideMax = Math.max(...tideHeights);
+            const tideMin = Math.min(...tideHeights, 0);
+            const tideRange = tideMax - tideMin || 1;
+            const tideX = time => padding + stepWidth * (time - forecastStart) / 3600000;
+            const tideY = value => padding + chartHeight - ((value - tideMin) / tideRange * chartHeight);
+            
+            ctx.fillStyle = 'rgba(0, 153, 255, 0.08)';
+            ctx.beginPath();
+            ctx.moveTo(tideX(tidePoints[0].time), padding + chartHeight);
+            tidePoints.forEach(point => ctx.lineTo(tideX(point.time), tideY(point.height)));
+            ctx.lineTo(tideX(tidePoints[tidePoints.length - 1].time), padding + chartHeight);
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.fillStyle = '#5aa9e6';
+            ctx.font = '10px Inter';
+            ctx.textAlign = 'left';
+            ctx.fillText(this.units.height(tideMax), tideX(tidePoints[0].time) + 4, tideY(tideMax) + 10);
+        }
+
+        // Draw gust line (dashed) underneath the mean wind
+        if (knownGusts.length > 0) {
+            ctx.strokeStyle = '#ff8800';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            let started = false;
+            windGusts.forEach((gust, index) => {
+                if (gust === null) {
+                    started = false;
+                    return;
+                }
+                const x = padding + (chartWidth / (periods.length - 1)) * index;
+                const y = padding + chartHeight - ((gust - minWind) / range * chartHeight);
+                if (!started) {
+                    ctx.moveTo(x, y);
+                    started = true;
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Draw wind speed line
+        ctx.strokeStyle = '#0099ff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+
+        periods.forEach((period, index) => {
+            const x = padding + (chartWidth / (periods.length - 1)) * index;
+            const normalizedSpeed = (windSpeeds[index] - minWind) / range;
+            const y = padding + chartHeight - (normalizedSpeed * chartHeight);
+            
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+
+        ctx.stroke();
+
+        // Draw points
+        ctx.fillStyle = '#0099ff';
+        periods.forEach((period, index) => {
+            const x = padding + (chartWidth / (periods.length - 1)) * index;
+            const normalizedSpeed = (windSpeeds[index] - minWind) / range;
+            const y = padding + chartHeight - (normalizedSpeed * chartHeight);
+            
+            ctx.beginPath();
+            ctx.arc(x, y, periods.length > 48 ? 2 : 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Draw time labels, with a separator and day name at each midnight
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'center';
+        periods.forEach((period, index) => {
+            const x = padding + (chartWidth / (periods.length - 1)) * index;
+            const time = new Date(period.startTime);
+            const hour = this.clock.hour(time);
+            if (hour === 0) {
+                ctx.strokeStyle = '#bbb';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(x, padding);
+                ctx.lineTo(x, padding + chartHeight);
+                ctx.stroke();
+                ctx.fillStyle = '#333';
+                ctx.fillText(this.clock.formatDate(time, { weekday: 'short' }), x, padding - 10);
+            }
+            if (hour % 6 === 0) {
+                ctx.fillStyle = '#666';
+                ctx.fillText(this.clock.formatHour(time), x, height - padding + 20);
+            }
+        });
+    }
+
+    getHourlyObservations(observations) {
+        // Stations report every 5-60 minutes; one averaged value per hour lines up with the forecast
+        const hours = new Map();
+        observations.forEach(obs => {
+            const hour = Math.floor(obs.time / 3600000) * 3600000;
+            if (!hours.has(hour)) hours.set(hour, []);
+            hours.get(hour).push(obs);
+        });
+        return [...hours.entries()].map(([time, list]) => {
+            const gusts = list.map(obs => obs.gust).filter(gust => gust !== null);
+            return {
+                time,
+                speed: list.reduce((sum, obs) => sum + obs.speed, 0) / list.length,
+                gust: gusts.length > 0 ? Math.max(...gusts) : null,
+                direction: list[list.length - 1].direction
+            };
+        }).sort((a, b) => a.time - b.time);
+    }
+
+    getWindTrend(observations, now = Date.now()) {
+        // Last hour against the hour that ended three hours ago
+        const mean = (from, to) => {
+            const list = observations.filter(obs => obs.time > from && obs.time <= to);
+            return list.length > 0 ? list.reduce((sum, obs) => sum + obs.speed, 0) / list.length : null;
+        };
+        const recent = mean(now - 3600000, now);
+        const earlier = mean(now - 4 * 3600000, now - 3 * 3600000);
+        if (recent === null || earlier === null) return null;
+        
+        const change = recent - earlier;
+        const label = change >= 3 ? 'Building' : change <= -3 ? 'Easing' : 'Steady';
+        return { label, change };
+    }
+
+    getForecastBias(hourlyObservations, pastForecast) {
+        // Positive when the forecast said more wind than the station measured
+        const differences = pastForecast
+            .map(forecast => {
+                const observed = hourlyObservations.find(obs => obs.time === forecast.time);
+                return observed ? forecast.speed - observed.speed : null;
+            })
+            .filter(difference => difference !== null);
+        if (differences.length === 0) return null;
+        
+        return {
+            bias: differences.reduce((sum, difference) => sum + difference, 0) / differences.length,
+            hours: differences.length
+        };
+    }
+
+    updateWindHistory() {
+        const canvas = document.getElementById('historyCanvas');
+        const summary = document.getElementById('historySummary');
+        const ctx = canvas.getContext('2d');
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        
+        const observations = this.weatherData?.observationHistory || [];
+        const station = this.currentStationInfo;
+        document.getElementById('historyStation').textContent = station && observations.length > 0
+            ? `${station.name} (${station.id}), ${this.units.distance(parseFloat(station.distance), 1)} away`
+            : '--';
+        
+        if (observations.length < 2) {
+            ctx.fillStyle = '#666';
+            ctx.font = '14px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText('No measured wind history for this location', width / 2, height / 2);
+            summary.innerHTML = this.weatherData?.provider === 'open-meteo'
+                ? '<p>Measured history comes from Weather.gov stations, so it is only available in the US.</p>'
+                : '';
+            return;
+        }
+        
+        // Past measurements and the next hours of forecast on one time axis
+        const now = this.getCachedAt(this.weatherData) || Date.now();
+        const start = now - OBSERVATION_HISTORY_HOURS * 3600000;
+        const end = now + 12 * 3600000;
+        const hourly = this.getHourlyObservations(observations);
+        const pastForecast = (this.weatherData.pastForecast || []).filter(hour => hour.time >= start);
+        const upcoming = (this.weatherData.hourlyForecast?.properties?.periods || [])
+            .map(period => ({
+                time: new Date(period.startTime).getTime(),
+                speed: this.parseWindSpeed(period.windSpeed || '0 mph'),
+                gust: period.windGust ? this.parseWindSpeed(period.windGust) : null,
+                direction: this.parseWindDirection(period.windDirection)
+            }))
+            .filter(hour => hour.time >= now - 3600000 && hour.time <= end);
+        
+        const values = [...observations, ...pastForecast, ...upcoming].flatMap(point => [point.speed, point.gust]).filter(value => value !== null);
+        const maxWind = Math.max(...values, 20);
+        const padding = 40;
+        const chartWidth = width - padding * 2;
+        const chartHeight = height - padding * 2;
+        const x = time => padding + (time - start) / (end - start) * chartWidth;
+        const y = knots => padding + chartHeight - (knots / maxWind) * chartHeight;
+        
+        // Forecast side of the chart is shaded, with a line at now
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.04)';
+        ctx.fillRect(x(now), padding, x(end) - x(now), chartHeight);
+        
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const value = maxWind - (maxWind / 4) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding, y(value));
+            ctx.lineTo(width - padding, y(value));
+            ctx.stroke();
+            ctx.fillStyle = '#666';
+            ctx.fillText(this.units.wind(value), padding - 10, y(value) + 4);
+        }
+        
+        const drawLine = (points, key, color, lineWidth, dash = []) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            let started = false;
+            points.forEach(point => {
+                if (point[key] === null) {
+                    started = false;
+                    return;
+                }
+                if (!started) {
+                    ctx.moveTo(x(point.time), y(point[key]));
+                    started = true;
+                } else {
+                    ctx.lineTo(x(point.time), y(point[key]));
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        
+        drawLine(pastForecast, 'speed', '#9bbbd4', 2, [2, 4]);
+        drawLine(observations, 'gust', '#ff8800', 1.5, [6, 4]);
+        drawLine(observations, 'speed', '#1b3a57', 2.5);
+        drawLine(upcoming, 'gust', '#ff8800', 1.5, [6, 4]);
+        drawLine(upcoming, 'speed', '#0099ff', 2.5);
+        
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(now), padding - 5);
+        ctx.lineTo(x(now), padding + chartHeight);
+        ctx.stroke();
+        ctx.fillStyle = '#333';
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Now', x(now), height - padding + 32);
+        
+        // Direction every three hours along the top, time every six along the bottom
+        [...hourly, ...upcoming.filter(hour => hour.time > now)].forEach(point => {
+            const hour = this.clock.hour(point.time);
+            if (hour % 3 === 0 && point.direction !== null) {
+                ctx.fillStyle = '#333';
+                ctx.fillText(this.getWindDirectionText(point.direction), x(point.time), padding - 10);
+            }
+            if (hour % 6 === 0) {
+                ctx.fillStyle = '#666';
+                ctx.fillText(this.clock.formatHour(point.time), x(point.time), height - padding + 18);
+            }
+        });
+        
+        // Trend and how far off the forecast has been
+        const latest = observations[observations.length - 1];
+        const trend = this.getWindTrend(observations, latest.time);
+        const bias = this.getForecastBias(hourly, pastForecast);
+        let html = `<p><strong>Last measured:</strong> ${this.units.windWithGust(latest.speed, latest.gust)} ${latest.direction !== null ? this.getWindDirectionText(latest.direction) : ''} at ${this.clock.formatTime(latest.time)}</p>`;
+        if (trend) {
+            const change = trend.label === 'Steady' ? '' : ` (${trend.change > 0 ? '+' : '−'}${this.units.windSpread(Math.abs(trend.change))} over 3 h)`;
+            html += `<p><strong>Trend:</strong> <span class="trend ${trend.label.toLowerCase()}">${trend.label}</span>${change}</p>`;
+        }
+        if (bias) {
+            const size = Math.abs(bias.bias);
+            const text = size < 1.5
+                ? 'on target'
+                : `${this.units.windSpread(size)} too ${bias.bias > 0 ? 'high' : 'low'}`;
+            html += `<p><strong>Forecast vs measured:</strong> ${text} on average over the last ${bias.hours} h - ${size < 1.5 ? 'trust it as is' : `expect ${bias.bias > 0 ? 'less' : 'more'} wind than forecast if that holds`}</p>`;
+        } else {
+            html += '<p><strong>Forecast vs measured:</strong> no forecast for past hours to compare yet</p>';
+        }
+        summary.innerHTML = html;
+    }
+
+    getSpotClock(weatherData, tideStationInfo = null) {
+        // The weather provider knows the zone by name (DST included); a tide station only its standard offset
+        const zone = weatherData?.point?.properties?.timeZone || weatherData?.point?.timeZone;
+        if (zone) {
+            return new SpotClock(zone, 'provider');
+        }
+        return SpotClock.fromOffsetHours(tideStationInfo?.timeZoneOffset, 'tide station') || new SpotClock();
+    }
+
+    updateZoneLabels() {
+        const label = this.clock.label();
+        const title = this.clock.source === 'browser'
+            ? `Times in your time zone (${this.clock.timeZone}) - the spot's zone is unknown`
+            : `Times are local to the spot: ${this.clock.timeZone}, from the ${this.clock.source}`;
+        document.querySelectorAll('[data-zone-label]').forEach(element => {
+            element.textContent = `🕒 ${label}`;
+            element.title = title;
+            element.classList.toggle('other-zone', !this.clock.isBrowserZone());
+        });
+    }
+
+    getDayKey(date, clock = this.clock) {
+        // Calendar day at the spot, used to group forecast hours and tide events
+        return clock.dayKey(date);
+    }
+
+    buildDailySummaries() {
+        const periods = this.weatherData?.hourlyForecast?.properties?.periods || [];
+        const dailyPeriods = this.weatherData?.forecast?.properties?.periods || [];
+        const hours = this.evaluateSessionHours(periods, this.getSessionCriteria(), this.currentSpot, this.tideData);
+        const days = [];
+        
+        hours.forEach(hour => {
+            const dayKey = this.getDayKey(hour.start);
+            let day = days.find(d => d.dayKey === dayKey);
+            if (!day) {
+                day = { dayKey, date: hour.start, hours: [], kiteableHours: 0 };
+                days.push(day);
+            }
+            day.hours.push(hour);
+            if (hour.ok) day.kiteableHours++;
+        });
+        
+        return days.map(day => {
+            const speeds = day.hours.map(hour => hour.speed);
+            const gusts = day.hours.map(hour => hour.gust).filter(gust => gust !== null);
+            // Daytime text from the Weather.gov daily forecast when we have one
+            const daily = dailyPeriods.find(p => p.isDaytime && this.getDayKey(new Date(p.startTime)) === day.dayKey);
+            const middle = day.hours[Math.floor(day.hours.length / 2)].start;
+            return {
+                ...day,
+                sun: getSunTimes(this.currentLocation.lat, this.currentLocation.lon, middle),
+                minSpeed: Math.min(...speeds),
+                maxSpeed: Math.max(...speeds),
+                maxGust: gusts.length > 0 ? Math.max(...gusts) : null,
+                description: daily ? daily.shortForecast : null,
+                temperature: daily ? daily.temperature : null
+            };
+        });
+    }
+
+    updateDailyForecast() {
+        const row = document.getElementById('dailySummary');
+        const days = this.weatherData ? this.buildDailySummaries() : [];
+        
+        if (days.length === 0) {
+            row.innerHTML = '';
+            document.getElementById('forecastDayDetail').innerHTML = '';
+            return;
+        }
+        
+        row.innerHTML = days.map(day => `
+            <div class="daily-item${day.dayKey === this.selectedForecastDay ? ' selected' : ''}${day.kiteableHours > 0 ? ' kiteable' : ''}" onclick="app.selectForecastDay('${day.dayKey}')">
+                <div class="daily-name">${this.clock.formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}</div>
+                <div class="daily-hours">${day.kiteableHours}h kiteable</div>
+                <div class="daily-sun">${this.describeDaylight(day.sun)}</div>
+                <div class="daily-wind">${this.units.formatRange('wind', day.minSpeed, day.maxSpeed)}${day.maxGust !== null ? ` (G${this.units.value('wind', day.maxGust)})` : ''}</div>
+                ${day.description ? `<div class="daily-desc">${escapeHtml(day.description)}${day.temperature !== null ? ` • ${this.units.temperature(day.temperature)}` : ''}</div>` : ''}
+            </div>
+        `).join('');
+        
+        this.renderForecastDayDetail(days.find(day => day.dayKey === this.selectedForecastDay));
+    }
+
+    selectForecastDay(dayKey) {
+        // Tapping the selected day again closes its detail
+        this.selectedForecastDay = this.selectedForecastDay === dayKey ? null : dayKey;
+        this.updateDailyForecast();
+        
+        if (this.selectedForecastDay) {
+            // Scroll the chart so the day starts at the left edge
+            const periods = this.weatherData?.hourlyForecast?.properties?.periods || [];
+            const index = periods.findIndex(p => this.getDayKey(new Date(p.startTime)) === dayKey);
+            const canvas = document.getElementById('forecastCanvas');
+            if (index >= 0 && periods.length > 1) {
+                const stepWidth = (canvas.width - 80) / (periods.length - 1);
+                document.getElementById('forecastChart').scrollLeft = Math.max(0, 40 + stepWidth * index - 20);
+            }
+        }
+    }
+
+    renderForecastDayDetail(day) {
+        const detail = document.getElementById('forecastDayDetail');
+        if (!day) {
+            detail.innerHTML = '';
+            return;
+        }
+        
+        detail.innerHTML = `
+            <h3>${this.clock.formatDate(day.date, { weekday: 'long', month: 'long', day: 'numeric' })}</h3>
+            ${day.hours.map(hour => `
+                <div class="hourly-row${hour.ok ? ' kiteable' : ''}">
+                    <span>${this.clock.formatHour(hour.start)}</span>
+                    <span>${this.units.windWithGust(hour.speed, hour.gust)}</span>
+                    <span>${this.getWindDirectionText(hour.direction)}</span>
+                    <span>${escapeHtml(hour.period.shortForecast)}</span>
+                    <span>${hour.ok ? '✅' : ''}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    updateTideDisplay() {
+        this.updateTideSourceInfo();
+        
+        this.updateTideChart();
+        
+        if (!this.tideData || !this.tideData.predictions) {
+            document.getElementById('tidePhase').textContent = '--';
+            document.getElementById('tideTime').textContent = '--';
+            document.getElementById('tideNow').textContent = '';
+            const message = this.currentTideStationInfo || this.demoMode
+                ? 'Tide data unavailable'
+                : `No NOAA tide station within ${this.units.distance(this.tideStationRadiusKm)} of this location`;
+            document.getElementById('tideSchedule').innerHTML = `<p>${message}</p>`;
+            return;
+        }
+
+        const predictions = this.tideData.predictions;
+        const now = new Date();
+        
+        // Find next tide event
+        const nextTide = this.getNextTideEvent(this.tideData, now);
+
+        if (nextTide) {
+            const isHigh = nextTide.type === 'H';
+            const timeText = this.clock.formatTime(nextTide.time);
+            
+            document.getElementById('tidePhase').textContent = isHigh ? 'High Tide' : 'Low Tide';
+            document.getElementById('tideTime').textContent = this.getDayKey(nextTide.time) === this.getDayKey(now)
+                ? timeText
+                : `${this.clock.formatDate(nextTide.time, { weekday: 'short' })} ${timeText}`;
+        } else {
+            document.getElementById('tidePhase').textContent = '--';
+            document.getElementById('tideTime').textContent = 'No upcoming tides';
+        }
+
+        // Current water level and how fast it's moving
+        const currentState = this.getTideStateAt(this.tideData, now);
+        const rate = this.getTideRate(this.tideData, now);
+        document.getElementById('tideNow').textContent = currentState
+            ? `Now ${this.units.height(currentState.height)}` +
+              (rate !== null ? `, ${rate >= 0 ? 'rising' : 'falling'} ${this.units.height(Math.abs(rate))}/h` : '')
+            : '';
+
+        // Display all tide events, grouped by day
+        const todayKey = this.getDayKey(now);
+        const tomorrowKey = this.getDayKey(new Date(now.getTime() + 86400000));
+        let scheduleHtml = '<div class="tide-events">';
+        let currentDayKey = null;
+        predictions.forEach(pred => {
+            const tideTime = this.parseTideTime(pred.t);
+            const dayKey = this.getDayKey(tideTime);
+            // Predictions start a day early to cover the spot's whole today - earlier days aren't listed
+            if (dayKey < todayKey) return;
+            const isHigh = pred.type === 'H';
+            const type = isHigh ? 'High' : 'Low';
+            const icon = isHigh ? '↑' : '↓';
+            
+            if (dayKey !== currentDayKey) {
+                currentDayKey = dayKey;
+                let dayLabel = this.clock.formatDate(tideTime, { weekday: 'long', month: 'short', day: 'numeric' });
+                if (dayKey === todayKey) dayLabel = 'Today';
+                if (dayKey === tomorrowKey) dayLabel = 'Tomorrow';
+                scheduleHtml += `<div class="tide-day">${dayLabel}</div>`;
+            }
+            
+            scheduleHtml += `
+                <div class="tide-event${tideTime < now ? ' past' : ''}">
+                    <span>${icon} ${type} Tide</span>
+                    <span>${this.clock.formatTime(tideTime)}</span>
+                    <span>${this.units.height(parseFloat(pred.v))}</span>
+                </div>
+            `;
+        });
+        scheduleHtml += '</div>';
+        
+        document.getElementById('tideSchedule').innerHTML = scheduleHtml;
+    }
+
+    updateTideChart() {
+        const canvas = document.getElementById('tideCanvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = canvas.offsetWidth;
+        canvas.height = canvas.offsetHeight;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // The curve spans the whole forecast horizon; this chart shows the next two days
+        const windowStart = Date.now() - 6 * 3600000;
+        const windowEnd = windowStart + 48 * 3600000;
+        const points = this.getTideCurve(this.tideData)
+            .filter(point => point.time >= windowStart && point.time <= windowEnd);
+        canvas.classList.toggle('hidden', points.length < 2);
+        if (points.length < 2) return;
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 30;
+        const startTime = points[0].time;
+        const endTime = points[points.length - 1].time;
+        const heights = points.map(point => point.height);
+        const maxHeight = Math.max(...heights);
+        const minHeight = Math.min(...heights, 0);
+        const range = maxHeight - minHeight || 1;
+        const toX = time => padding + (width - padding * 2) * (time - startTime) / (endTime - startTime);
+        const toY = value => padding / 2 + (height - padding * 1.5) * (1 - (value - minHeight) / range);
+        
+        this.drawDarkness(ctx, startTime, endTime, toX, padding / 2, height - padding * 1.5);
+        
+        // Water area
+        ctx.fillStyle = 'rgba(0, 153, 255, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(toX(startTime), toY(minHeight));
+        points.forEach(point => ctx.lineTo(toX(point.time), toY(point.height)));
+        ctx.lineTo(toX(endTime), toY(minHeight));
+        ctx.closePath();
+        ctx.fill();
+        
+        // Water line
+        ctx.strokeStyle = '#0099ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(toX(point.time), toY(point.height));
+            } else {
+                ctx.lineTo(toX(point.time), toY(point.height));
+            }
+        });
+        ctx.stroke();
+        
+        // Height labels
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillText(this.units.height(maxHeight), padding - 4, toY(maxHeight) + 4);
+        ctx.fillText(this.units.height(minHeight), padding - 4, toY(minHeight) + 4);
+        
+        // Time labels every 6 hours of the spot's day
+        ctx.textAlign = 'center';
+        for (let time = Math.ceil(startTime / 3600000) * 3600000; time <= endTime; time += 3600000) {
+            if (this.clock.hour(time) % 6 === 0) {
+                ctx.fillText(this.clock.formatHour(time), toX(time), height - 4);
+            }
+        }
+        
+        // "Now" marker
+        const now = Date.now();
+        if (now >= startTime && now <= endTime) {
+            ctx.strokeStyle = '#ff4444';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(toX(now), padding / 2);
+            ctx.lineTo(toX(now), height - padding);
+            ctx.stroke();
+            ctx.fillStyle = '#ff4444';
+            ctx.fillText('now', toX(now), 10);
+        }
+    }
+
+    updateTideSourceInfo() {
+        const sourceInfo = document.getElementById('tideSourceInfo');
+        if (!sourceInfo) return;
+        
+        if (this.currentTideStationInfo && this.currentTideStationInfo.name) {
+            sourceInfo.textContent = `${this.currentTideStationInfo.name} (${this.units.distance(parseFloat(this.currentTideStationInfo.distance), 1)} away)`;
+        } else {
+            sourceInfo.textContent = 'No nearby tide station';
+        }
+    }
+
+    updateProvenanceBadges() {
+        const weatherProvenance = this.getWeatherProvenance();
+        const forecastProvenance = this.weatherData?.hourlyForecast
+            ? (weatherProvenance === 'synthetic' ? 'synthetic' : 'forecast')
+            : 'unavailable';
+        
+        const weatherCachedAt = this.getCachedAt(this.weatherData);
+        
+        this.setProvenanceBadge('windProvenance', weatherProvenance, weatherCachedAt);
+        this.setProvenanceBadge('kiteProvenance', weatherProvenance, weatherCachedAt);
+        this.setProvenanceBadge('forecastProvenance', weatherProvenance === 'cached' ? 'cached' : forecastProvenance, weatherCachedAt);
+        this.setProvenanceBadge('historyProvenance', this.weatherData?.observationHistory?.length
+            ? (weatherProvenance === 'cached' ? 'cached' : 'live')
+            : 'unavailable', weatherCachedAt);
+        this.setProvenanceBadge('tideProvenance', this.getTideProvenance(), this.getCachedAt(this.tideData));
+        this.setProvenanceBadge('safetyProvenance', weatherProvenance, weatherCachedAt);
+    }
+
+    setProvenanceBadge(elementId, provenance, cachedAt = null) {
+        const badge = document.getElementById(elementId);
+        if (!badge) return;
+        
+        const info = DATA_PROVENANCE[provenance] || DATA_PROVENANCE.unavailable;
+        badge.textContent = cachedAt ? `${info.label} • ${this.formatDataAge(cachedAt)}` : info.label;
+        badge.className = `provenance-badge ${info.className}`;
+        badge.title = cachedAt ? `Saved ${new Date(cachedAt).toLocaleString()}` : '';
+    }
+
+    async loadSpots() {
+        // Spots live in spots.json so teams can add their own local beaches
+        try {
+            const spots = await this.http.getJson('spots.json', { retries: 0 });
+            this.spots = spots.filter(spot => spot.id && !isNaN(spot.lat) && !isNaN(spot.lon));
+        } catch (error) {
+            console.error('Could not load spots.json:', error);
+            this.spots = [];
+        }
+        return this.spots;
+    }
+
+    getSpotById(spotId) {
+        return (this.spots || []).find(spot => spot.id === spotId) || null;
+    }
+
+    findSpotNear(lat, lon) {
+        let closest = null;
+        (this.spots || []).forEach(spot => {
+            const distance = this.calculateDistance(lat, lon, spot.lat, spot.lon);
+            if (distance <= this.spotMatchRadiusKm && (!closest || distance < closest.distance)) {
+                closest = { spot, distance };
+            }
+        });
+        return closest ? closest.spot : null;
+    }
+
+    isDirectionInSector(degrees, sector) {
+        // Sectors run clockwise from `from` to `to` and may wrap through north
+        const from = ((sector.from % 360) + 360) % 360;
+        const to = ((sector.to % 360) + 360) % 360;
+        const dir = ((degrees % 360) + 360) % 360;
+        return from <= to ? (dir >= from && dir <= to) : (dir >= from || dir <= to);
+    }
+
+    classifyWindForSpot(spot, degrees) {
+        if (!spot || spot.shoreFacing === undefined) return null;
+        if (degrees === null || degrees === undefined) {
+            // Not in the sector as far as anyone can tell - never a green light
+            return { relation: 'unknown', label: 'Direction unknown', inSector: false };
+        }
+        
+        // Angle between where the wind comes from and where the beach faces (0 = straight onshore)
+        const diff = Math.abs(((degrees - spot.shoreFacing + 540) % 360) - 180);
+        let relation = 'offshore';
+        if (diff <= 22.5) {
+            relation = 'onshore';
+        } else if (diff <= 67.5) {
+            relation = 'side-on';
+        } else if (diff <= 112.5) {
+            relation = 'side-shore';
+        } else if (diff <= 157.5) {
+            relation = 'side-off';
+        }
+        
+        return {
+            relation,
+            label: relation.charAt(0).toUpperCase() + relation.slice(1),
+            inSector: spot.rideableDirections ? this.isDirectionInSector(degrees, spot.rideableDirections) : true
+        };
+    }
+
+    getSpotSectorText(spot) {
+        if (!spot.rideableDirections) return 'Any';
+        return `${this.getWindDirectionText(spot.rideableDirections.from)}-${this.getWindDirectionText(spot.rideableDirections.to)}`;
+    }
+
+    updateSpotWindInfo() {
+        const relationEl = document.getElementById('spotWindRelation');
+        if (!relationEl) return;
+        
+        const wind = this.getCurrentWind();
+        if (!this.currentSpot) {
+            relationEl.textContent = 'No known spot nearby';
+            return;
+        }
+        if (!wind) {
+            relationEl.textContent = `${this.currentSpot.name}: --`;
+            return;
+        }
+        
+        const classification = this.classifyWindForSpot(this.currentSpot, wind.direction);
+        if (classification.relation === 'unknown') {
+            relationEl.textContent = `Direction unknown at ${this.currentSpot.name} - check the beach`;
+            return;
+        }
+        relationEl.textContent = `${classification.label} at ${this.currentSpot.name}` +
+            (classification.inSector ? '' : ` • outside rideable ${this.getSpotSectorText(this.currentSpot)}`);
+    }
+
+    getSessionCriteria() {
+        // Inputs are in the preferred units; criteria are always knots and feet
+        const requirement = this.currentSpot?.tideRequirement || null;
+        const tideHeight = this.readUnitInput('sessionTideHeight', 'height');
+        
+        return {
+            minWind: this.readUnitInput('sessionMinWind', 'wind') ?? 12,
+            maxWind: this.readUnitInput('sessionMaxWind', 'wind') ?? 25,
+            tide: requirement
+                ? { side: requirement.side, height: tideHeight ?? requirement.height }
+                : null
+        };
+    }
+
+    applySessionCriteriaToForm(criteria) {
+        this.writeUnitInput('sessionMinWind', 'wind', criteria.minWind);
+        this.writeUnitInput('sessionMaxWind', 'wind', criteria.maxWind);
+        if (criteria.tide) {
+            this.writeUnitInput('sessionTideHeight', 'height', criteria.tide.height);
+        }
+    }
+
+    writeUnitInput(id, quantity, internalValue) {
+        // Remember the exact value behind the rounded display, so switching units back and forth
+        // (e.g. through Beaufort, where 25 kt shows as force 6) doesn't drift the criteria
+        const input = document.getElementById(id);
+        input.value = this.units.value(quantity, internalValue);
+        input.dataset.internal = internalValue;
+        input.dataset.shown = input.value;
+    }
+
+    readUnitInput(id, quantity) {
+        // Internal value of a unit input, or null when it's empty
+        const input = document.getElementById(id);
+        const typed = parseFloat(input.value);
+        if (isNaN(typed)) return null;
+        if (input.value === input.dataset.shown) return parseFloat(input.dataset.internal);
+        return this.units.toInternal(quantity, typed);
+    }
+
+    evaluateSessionHours(periods, criteria, spot, tideData) {
+        // Mark every forecast hour as rideable or not for this rider and spot
+        return periods.map(period => {
+            const start = new Date(period.startTime);
+            const speed = this.parseWindSpeed(period.windSpeed);
+            const gust = period.windGust ? this.parseWindSpeed(period.windGust) : null;
+            const direction = this.parseWindDirection(period.windDirection);
+            const classification = this.classifyWindForSpot(spot, direction);
+            const tide = this.getTideStateAt(tideData, start);
+            
+            const windOk = speed >= criteria.minWind && speed <= criteria.maxWind &&
+                (gust === null || gust - speed <= 10);
+            const directionOk = !classification ||
+                (classification.inSector && !['offshore', 'side-off'].includes(classification.relation));
+            // Computed from the sun rather than the provider's isDaytime, judged at the middle of the hour
+            const daylightOk = this.isDaylight(new Date(start.getTime() + 1800000));
+            const tideOk = !criteria.tide || (tide !== null && (criteria.tide.side === 'above'
+                ? tide.height >= criteria.tide.height
+                : tide.height <= criteria.tide.height));
+            
+            return { period, start, speed, gust, direction, tide, ok: windOk && directionOk && daylightOk && tideOk };
+        });
+    }
+
+    findSessionWindows(periods, criteria, spot, tideData) {
+        // Join consecutive rideable hours into windows
+        const hours = this.evaluateSessionHours(periods, criteria, spot, tideData);
+        const windows = [];
+        let current = [];
+        hours.forEach((hour, index) => {
+            if (hour.ok) {
+                current.push(hour);
+            }
+            if ((!hour.ok || index === hours.length - 1) && current.length > 0) {
+                if (current.length >= this.minSessionHours) {
+                    windows.push(this.summarizeSessionWindow(current, criteria));
+                }
+                current = [];
+            }
+        });
+        
+        return windows.sort((a, b) => b.score - a.score);
+    }
+
+    summarizeSessionWindow(hours, criteria) {
+        const speeds = hours.map(hour => hour.speed);
+        const first = hours[0];
+        const last = hours[hours.length - 1];
+        let end = last.period.endTime ? new Date(last.period.endTime) : new Date(last.start.getTime() + 3600000);
+        // The last hour can straddle sunset - the window ends with the light
+        const sun = getSunTimes(this.currentLocation.lat, this.currentLocation.lon, last.start);
+        if (sun.sunset && end > sun.sunset) end = sun.sunset;
+        
+        // Average direction as a vector so 350° and 10° average to north, not south
+        const known = hours.filter(hour => hour.direction !== null);
+        const x = known.reduce((sum, hour) => sum + Math.cos(this.toRad(hour.direction)), 0);
+        const y = known.reduce((sum, hour) => sum + Math.sin(this.toRad(hour.direction)), 0);
+        const direction = known.length > 0 ? (Math.atan2(y, x) * 180 / Math.PI + 360) % 360 : null;
+        
+        // Longer windows rank first; ties go to wind nearer the middle of the rider's range
+        const idealWind = (criteria.minWind + criteria.maxWind) / 2;
+        const averageWind = speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
+        const score = hours.length * 10 - Math.abs(averageWind - idealWind);
+        
+        const midTide = hours[Math.floor(hours.length / 2)].tide;
+        
+        return {
+            start: first.start,
+            end,
+            startTime: first.period.startTime,
+            hours: hours.length,
+            minSpeed: Math.min(...speeds),
+            maxSpeed: Math.max(...speeds),
+            direction,
+            tide: midTide,
+            score
+        };
+    }
+
+    describeSessionWindow(sessionWindow) {
+        const day = this.clock.formatDate(sessionWindow.start, { weekday: 'short' });
+        let text = `${day} ${this.clock.formatHour(sessionWindow.start)}–${this.clock.formatHour(sessionWindow.end)}, ` +
+            `${this.units.formatRange('wind', sessionWindow.minSpeed, sessionWindow.maxSpeed)} ${this.getWindDirectionText(sessionWindow.direction)}`;
+        if (sessionWindow.tide) {
+            text += `, ${sessionWindow.tide.stage}-${sessionWindow.tide.rising ? 'rising' : 'falling'} tide`;
+        }
+        return text;
+    }
+
+    updateSessionWindows() {
+        const list = document.getElementById('sessionWindows');
+        const tideField = document.getElementById('sessionTideField');
+        const criteria = this.getSessionCriteria();
+        
+        // Only spots that need a tide get the tide height control
+        tideField.classList.toggle('hidden', !criteria.tide);
+        if (criteria.tide) {
+            document.getElementById('sessionTideSide').textContent = criteria.tide.side === 'above' ? 'at least' : 'at most';
+            const tideInput = document.getElementById('sessionTideHeight');
+            if (tideInput.dataset.spotId !== this.currentSpot.id) {
+                this.writeUnitInput('sessionTideHeight', 'height', this.currentSpot.tideRequirement.height);
+                tideInput.dataset.spotId = this.currentSpot.id;
+                criteria.tide.height = this.currentSpot.tideRequirement.height;
+            }
+        }
+        
+        const periods = this.weatherData?.hourlyForecast?.properties?.periods || [];
+        if (!this.hasRealWeatherData() && !['synthetic', 'cached'].includes(this.getWeatherProvenance())) {
+            this.sessionWindows = [];
+            list.innerHTML = '<p>No forecast available to search for session windows.</p>';
+            return;
+        }
+        
+        this.sessionWindows = this.findSessionWindows(periods, criteria, this.currentSpot, this.tideData);
+        this.updateQuiverForecast();
+        
+        if (this.sessionWindows.length === 0) {
+            list.innerHTML = `<p>No ${this.minSessionHours}h+ daylight window with ${this.units.formatRange('wind', criteria.minWind, criteria.maxWind)}` +
+                `${this.currentSpot ? ` from a good direction for ${this.currentSpot.name}` : ''} in the forecast.</p>`;
+            return;
+        }
+        
+        list.innerHTML = this.sessionWindows.slice(0, 5).map((sessionWindow, index) => `
+            <div class="session-window${index === 0 ? ' best' : ''}">
+                <span class="session-rank">${index + 1}</span>
+                <span>${this.describeSessionWindow(sessionWindow)}</span>
+                <span class="session-hours">${sessionWindow.hours}h</span>
+            </div>
+        `).join('');
+    }
+
+    assessConditions(weatherData, spot, alerts = []) {
+        // Single go / marginal / no-go verdict, used to rank spots against each other
+        const reasons = [];
+        const provenance = weatherData?.provenance || 'unavailable';
+        const wind = this.getCurrentWind(weatherData);
+        
+        if (!wind || !['live', 'forecast', 'cached'].includes(provenance)) {
+            return { verdict: 'no-go', score: -1, reasons: ['No real wind data'], wind: null, classification: null };
+        }
+        if (provenance === 'cached') {
+            // Show what we last saw, but never rank stale numbers as a go
+            const reason = `Offline - saved ${this.formatDataAge(weatherData.cachedAt)}`;
+            return { verdict: 'no-go', score: -1, reasons: [reason], wind, classification: this.classifyWindForSpot(spot, wind.direction) };
+        }
+        
+        const gustMetrics = this.getGustMetrics(wind.speed, wind.gust);
+        const classification = this.classifyWindForSpot(spot, wind.direction);
+        let verdict = 'go';
+        const downgrade = (level, reason) => {
+            reasons.push(reason);
+            if (level === 'no-go' || verdict === 'no-go') {
+                verdict = 'no-go';
+            } else {
+                verdict = 'marginal';
+            }
+        };
+        
+        if (wind.speed < 10) {
+            downgrade('no-go', 'Too light');
+        } else if (wind.speed < 12) {
+            downgrade('marginal', 'Light');
+        } else if (wind.speed > 35) {
+            downgrade('no-go', 'Too strong');
+        } else if (wind.speed > 25) {
+            downgrade('marginal', 'Strong');
+        }
+        
+        if (wind.gust !== null && wind.gust > 35) {
+            downgrade('no-go', `Gusts to ${this.units.wind(wind.gust)}`);
+        } else if (gustMetrics && gustMetrics.spread > 10) {
+            downgrade('marginal', `${this.units.windSpread(gustMetrics.spread)} gust spread`);
+        }
+        
+        // Perfect wind in the dark is still no session
+        if (spot && !this.isDaylight(new Date(), spot)) {
+            downgrade('no-go', 'Dark');
+        }
+        
+        // An official warning trumps whatever the numbers say
+        (alerts || []).forEach(alert => {
+            if (alert.level === 'danger') {
+                downgrade('no-go', alert.event);
+            } else if (alert.level === 'warning') {
+                downgrade('marginal', alert.event);
+            }
+        });
+        
+        if (wind.direction === null) {
+            downgrade('marginal', 'Direction unknown');
+        } else if (classification) {
+            if (classification.relation === 'offshore') {
+                downgrade('no-go', 'Offshore');
+            } else if (classification.relation === 'side-off') {
+                downgrade('marginal', 'Side-off');
+            } else if (!classification.inSector) {
+                downgrade('marginal', 'Outside rideable directions');
+            }
+        }
+        
+        // Rank within a verdict by closeness to a comfortable 18 kts
+        const verdictRank = { 'go': 2, 'marginal': 1, 'no-go': 0 }[verdict];
+        const score = verdictRank * 100 + Math.max(0, 30 - Math.abs(wind.speed - 18));
+        
+        return { verdict, score, reasons, wind, classification };
+    }
+
+    loadFavorites() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('kiteflow.favorites') || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Ignoring invalid favorites:', error);
+            return [];
+        }
+    }
+
+    saveFavorites() {
+        localStorage.setItem('kiteflow.favorites', JSON.stringify(this.favoriteSpotIds));
+    }
+
+    isFavorite(spotId) {
+        return this.favoriteSpotIds.includes(spotId);
+    }
+
+    toggleFavorite(spotId) {
+        if (this.isFavorite(spotId)) {
+            this.favoriteSpotIds = this.favoriteSpotIds.filter(id => id !== spotId);
+        } else {
+            this.favoriteSpotIds.push(spotId);
+        }
+        this.saveFavorites();
+        this.loadPopularSpots();
+        this.loadFavoritesDashboard();
+    }
+
+    async loadFavoritesDashboard() {
+        const container = document.getElementById('favoritesDashboard');
+        const spots = this.favoriteSpotIds.map(id => this.getSpotById(id)).filter(Boolean);
+        const generation = ++this.favoritesGeneration; // A newer refresh or star click wins
+        
+        this.favoriteResults = null;
+        if (spots.length === 0) {
+            container.innerHTML = '<p class="dashboard-empty">Star spots in the list below to compare them here.</p>';
+            return;
+        }
+        if (this.demoMode) {
+            container.innerHTML = '<p class="dashboard-empty">The favorites dashboard only compares real conditions. Exit demo mode to use it.</p>';
+            return;
+        }
+        
+        container.innerHTML = `<p class="dashboard-empty">Checking ${spots.length} favorite spot${spots.length > 1 ? 's' : ''}...</p>`;
+        
+        const results = await this.fetchSpotConditions(spots);
+        if (generation !== this.favoritesGeneration) return;
+        
+        results.sort((a, b) => b.assessment.score - a.assessment.score);
+        this.favoriteResults = results;
+        this.renderFavoritesDashboard(results);
+    }
+
+    async fetchSpotConditions(spots, signal = null) {
+        // Fetch every spot in parallel without touching the currently displayed location
+        return Promise.all(spots.map(async spot => {
+            const location = { lat: spot.lat, lon: spot.lon, name: spot.name };
+            const [weatherData, tide, alerts, marine] = await Promise.all([
+                this.fetchWeatherForLocation(location, signal),
+                this.fetchTideForLocation(location, spot, false, signal),
+                this.loadAlerts(location, signal),
+                this.loadMarineData(location, signal)
+            ]);
+            this.rememberSpotWind(spot, weatherData);
+            return {
+                spot,
+                weatherData,
+                clock: this.getSpotClock(weatherData, tide.stationInfo),
+                tidePhase: this.getTidePhase(tide.tideData),
+                alerts,
+                marine,
+                assessment: this.assessConditions(weatherData, spot, alerts)
+            };
+        }));
+    }
+
+    getCurrentPosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Geolocation is not supported by this browser'));
+                return;
+            }
+            navigator.geolocation.getCurrentPosition(resolve, reject, {
+                enableHighAccuracy: false,
+                timeout: 15000,
+                maximumAge: 5 * 60000
+            });
+        });
+    }
+
+    async findNearMe() {
+        const card = document.getElementById('nearbyCard');
+        const list = document.getElementById('nearbySpots');
+        card.classList.remove('hidden');
+        list.innerHTML = '<p class="dashboard-empty">Finding your location...</p>';
+        
+        // A second tap replaces the first: its spot checks are cancelled and its results dropped
+        this.nearbyRequest?.controller.abort();
+        const request = { generation: ++this.nearbyGeneration, controller: new AbortController() };
+        this.nearbyRequest = request;
+        const isCurrent = () => this.nearbyRequest === request && !request.controller.signal.aborted;
+        
+        let position;
+        try {
+            position = await this.getCurrentPosition();
+        } catch (error) {
+            if (!isCurrent()) return;
+            // Permission denied, no fix or no API - the rest of the app carries on as before
+            console.warn('Geolocation failed:', error);
+            const message = error.code === 1
+                ? 'Location permission was denied. Search for a place or pick a spot below instead.'
+                : 'Could not determine your location. Search for a place or pick a spot below instead.';
+            list.innerHTML = `<p class="dashboard-empty">${message}</p>`;
+            this.nearbyResults = null;
+            return;
+        }
+        
+        const location = {
+            lat: position.coords.latitude,
+            lon: position.coords.longitude,
+            name: 'My location'
+        };
+        if (!isCurrent()) return;
+        this.setCurrentLocation(location);
+        this.loadInitialData();
+        
+        if (!this.spots) {
+            await this.loadSpots();
+            if (!isCurrent()) return;
+        }
+        const closest = (this.spots || [])
+            .map(spot => ({ spot, distance: this.calculateDistance(location.lat, location.lon, spot.lat, spot.lon) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.nearbySpotCount);
+        
+        if (closest.length === 0) {
+            list.innerHTML = '<p class="dashboard-empty">Spot list unavailable.</p>';
+            return;
+        }
+        if (this.demoMode) {
+            this.nearbyResults = closest.map(({ spot, distance }) => ({
+                spot, distance, weatherData: null, assessment: this.assessConditions(null, spot)
+            }));
+            this.renderNearbySpots();
+            return;
+        }
+        
+        list.innerHTML = `<p class="dashboard-empty">Checking conditions at the ${closest.length} closest spots...</p>`;
+        let results;
+        try {
+            results = await this.fetchSpotConditions(closest.map(item => item.spot), request.controller.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            throw error;
+        }
+        if (!isCurrent()) return;
+        this.nearbyResults = results.map((result, index) => ({ ...result, distance: closest[index].distance }));
+        this.renderNearbySpots();
+    }
+
+    renderNearbySpots() {
+        const list = document.getElementById('nearbySpots');
+        document.querySelectorAll('#nearbySort button').forEach(button => {
+            button.classList.toggle('active', button.dataset.sort === this.nearbySort);
+        });
+        if (!this.nearbyResults) return;
+        
+        const results = [...this.nearbyResults].sort((a, b) => this.nearbySort === 'quality'
+            ? b.assessment.score - a.assessment.score || a.distance - b.distance
+            : a.distance - b.distance);
+        const verdictLabels = { 'go': 'Go', 'marginal': 'Marginal', 'no-go': 'No-go' };
+        
+        list.innerHTML = results.map(({ spot, distance, marine, assessment }) => {
+            const wind = assessment.wind;
+            return `
+                <div class="dashboard-row" onclick="app.selectSpot('${spot.id}')">
+                    <span class="verdict ${assessment.verdict}">${verdictLabels[assessment.verdict]}</span>
+                    <div class="dashboard-spot">
+                        <div class="spot-name">${spot.name}</div>
+                        <div class="spot-info">${assessment.reasons.length > 0 ? assessment.reasons.map(escapeHtml).join(' • ') : 'Looks good'}</div>
+                    </div>
+                    <div class="dashboard-metric"><span class="label">Distance</span>${this.units.distance(distance)} (straight line)</div>
+                    <div class="dashboard-metric"><span class="label">Wind</span>${wind ? `${this.units.windWithGust(wind.speed, wind.gust)} ${this.getWindDirectionText(wind.direction)}` : 'No data'}</div>
+                    <div class="dashboard-metric"><span class="label">Direction</span>${assessment.classification ? assessment.classification.label : '--'}</div>
+                    <div class="dashboard-metric"><span class="label">Water</span>${this.formatWaterSummary(marine)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderFavoritesDashboard(results) {
+        const verdictLabels = { 'go': 'Go', 'marginal': 'Marginal', 'no-go': 'No-go' };
+        let html = '';
+        
+        results.forEach(({ spot, clock, tidePhase, marine, assessment }) => {
+            const wind = assessment.wind;
+            const windText = wind
+                ? `${this.units.windWithGust(wind.speed, wind.gust)} ${this.getWindDirectionText(wind.direction)}`
+                : 'No data';
+            const directionText = assessment.classification ? assessment.classification.label : '--';
+            const tideText = tidePhase
+                ? `${tidePhase.phase} (${tidePhase.nextEvent.type === 'H' ? 'high' : 'low'} ${clock.formatTime(tidePhase.nextTime)} ${clock.label(tidePhase.nextTime)})`
+                : 'No tide data';
+            
+            html += `
+                <div class="dashboard-row" onclick="app.selectSpot('${spot.id}')">
+                    <span class="verdict ${assessment.verdict}">${verdictLabels[assessment.verdict]}</span>
+                    <div class="dashboard-spot">
+                        <div class="spot-name">${spot.name}</div>
+                        <div class="spot-info">${assessment.reasons.length > 0 ? assessment.reasons.map(escapeHtml).join(' • ') : 'Looks good'}</div>
+                    </div>
+                    <div class="dashboard-metric"><span class="label">Wind</span>${windText}</div>
+                    <div class="dashboard-metric"><span class="label">Direction</span>${directionText}</div>
+                    <div class="dashboard-metric"><span class="label">Tide</span>${tideText}</div>
+                    <div class="dashboard-metric"><span class="label">Water</span>${this.formatWaterSummary(marine)}</div>
+                </div>
+            `;
+        });
+        
+        document.getElementById('favoritesDashboard').innerHTML = html;
+    }
+
+    loadPopularSpots() {
+        const spots = this.spots || [];
+
+        if (spots.length === 0) {
+            document.getElementById('spotsList').innerHTML = '<p>Spot list unavailable. Check that spots.json is served with the app.</p>';
+            return;
+        }
+
+        let spotsHtml = '';
+        spots.forEach(spot => {
+            const isSelected = this.currentSpot && this.currentSpot.id === spot.id;
+            const isFavorite = this.isFavorite(spot.id);
+            spotsHtml += `
+                <div class="spot-item${isSelected ? ' selected' : ''}" onclick="app.selectSpot('${spot.id}')">
+                    <button class="favorite-toggle" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}" onclick="event.stopPropagation(); app.toggleFavorite('${spot.id}')">${isFavorite ? '★' : '☆'}</button>
+                    <div class="spot-name">${spot.name}</div>
+                    <div class="spot-info">${spot.location} • Best winds: ${this.getSpotSectorText(spot)}</div>
+                    <div class="spot-info" style="font-size: 0.85rem; margin-top: 5px;">${spot.description}</div>
+                    ${isSelected && spot.launchNotes ? `<div class="spot-info spot-notes">🪁 ${spot.launchNotes}</div>` : ''}
+                </div>
+            `;
+        });
+
+        document.getElementById('spotsList').innerHTML = spotsHtml;
+    }
+
+    selectSpot(spotId) {
+        const spot = this.getSpotById(spotId);
+        if (!spot) return;
+        
+        this.setCurrentLocation({ lat: spot.lat, lon: spot.lon, name: spot.name }, spot);
+        this.loadInitialData();
+    }
+
+    async loadLogbook() {
+        try {
+            this.loggedSessions = await this.logbook.getAll();
+        } catch (error) {
+            // Private browsing in some browsers, or storage turned off
+            console.warn('Session logbook unavailable:', error);
+            this.loggedSessions = null;
+        }
+        this.renderLogbook();
+    }
+
+    getActiveSession() {
+        return (this.loggedSessions || []).find(session => !session.end) || null;
+    }
+
+    getLogClock(session) {
+        // Sessions are shown in their spot's time, like everything else
+        const zone = session.timeZone || BROWSER_TIME_ZONE;
+        if (!this.logClocks.has(zone)) {
+            this.logClocks.set(zone, new SpotClock(zone, 'logbook'));
+        }
+        return this.logClocks.get(zone);
+    }
+
+    updateLogbookForm() {
+        // "" is whatever location is on screen; the chosen spot survives re-renders
+        const select = document.getElementById('logSpot');
+        const selected = select.value;
+        select.innerHTML = `<option value="">${escapeHtml(this.currentLocation.name)} (on screen)</option>` +
+            (this.spots || []).map(spot => `<option value="${spot.id}">${spot.name}</option>`).join('');
+        select.value = this.getSpotById(selected) ? selected : '';
+
+        document.getElementById('logKiteSizes').innerHTML = this.riderProfile.quiver
+            .map(size => `<option value="${size}"></option>`).join('');
+    }
+
+    readLogbookForm() {
+        const spotId = document.getElementById('logSpot').value;
+        const spot = spotId ? this.getSpotById(spotId) : null;
+        const location = spot ? { lat: spot.lat, lon: spot.lon, name: spot.name } : this.currentLocation;
+        const kiteSize = parseFloat(document.getElementById('logKite').value);
+        return {
+            location,
+            spot: spot || (location === this.currentLocation ? this.currentSpot : null),
+            kiteSize: isNaN(kiteSize) ? null : kiteSize,
+            board: document.getElementById('logBoard').value.trim(),
+            notes: document.getElementById('logNotes').value.trim()
+        };
+    }
+
+    async getLogData(location, spot) {
+        // The data on screen when the session is at that location, otherwise fetched like a dashboard spot
+        const onScreen = location === this.currentLocation || (spot && this.currentSpot?.id === spot.id);
+        if (onScreen || this.demoMode) {
+            return { weatherData: this.weatherData, tideData: this.tideData, marine: this.marineData, clock: this.clock };
+        }
+        try {
+            const [weatherData, tide, marine] = await Promise.all([
+                this.fetchWeatherForLocation(location),
+                this.fetchTideForLocation(location, spot, true),
+                this.loadMarineData(location)
+            ]);
+            return { weatherData, tideData: tide.tideData, marine, clock: this.getSpotClock(weatherData, tide.stationInfo) };
+        } catch (error) {
+            console.warn(`Could not fetch conditions for ${location.name}:`, error);
+            return { weatherData: null, tideData: null, marine: null, clock: new SpotClock() };
+        }
+    }
+
+    getLogConditions({ weatherData, tideData, marine }, time) {
+        // What the app saw for that time: the current observation near now, the station's measured
+        // history for earlier hours, else that hour's forecast. Demo data never goes in the logbook
+        if (this.demoMode) return null;
+        const ms = time.getTime();
 
-        // Convert wind direction to arrow rotation
-        // Wind direction is where wind comes FROM, arrow points that way
-        const angle = (direction - 90) * (Math.PI / 180); // Adjust for SVG coordinates
-        
-        const centerX = 50;
-        const centerY = 50;
-        const length = 35;
-        
-        const endX = centerX + Math.cos(angle) * length;
-        const endY = centerY + Math.sin(angle) * length;
-        
-        // Update line
-        line.setAttribute('x2', endX);
-        line.setAttribute('y2', endY);
-        
-        // Update triangle (arrowhead)
-        const arrowSize = 8;
-        const tipX = endX;
-        const tipY = endY;
-        const baseAngle = angle + Math.PI;
-        
-        const point1X = tipX + Math.cos(baseAngle + 0.5) * arrowSize;
-        const point1Y = tipY + Math.sin(baseAngle + 0.5) * arrowSize;
-        const point2X = tipX + Math.cos(baseAngle - 0.5) * arrowSize;
-        const point2Y = tipY + Math.sin(baseAngle - 0.5) * arrowSize;
-        
-        triangle.setAttribute('points', `${tipX},${tipY} ${point1X},${point1Y} ${point2X},${point2Y}`);
+        let wind = null;
+        if (weatherData && Math.abs(Date.now() - ms) <= 3600000) {
+            const current = this.getCurrentWind(weatherData);
+            if (current) wind = { ...current, source: weatherData.provenance };
+        }
+        if (!wind && weatherData?.observationHistory?.length) {
+            const hour = this.getHourlyObservations(weatherData.observationHistory)
+                .find(item => ms >= item.time && ms < item.time + 3600000);
+            if (hour) wind = { ...hour, source: 'measured' };
+        }
+        if (!wind) {
+            const period = (weatherData?.hourlyForecast?.properties?.periods || []).find(item =>
+                ms >= new Date(item.startTime).getTime() && ms < new Date(item.endTime).getTime());
+            if (period) {
+                wind = {
+                    speed: this.parseWindSpeed(period.windSpeed || '0 mph'),
+                    gust: period.windGust ? this.parseWindSpeed(period.windGust) : null,
+                    direction: this.parseWindDirection(period.windDirection),
+                    source: 'forecast'
+                };
+            }
+        }
+
+        const tide = tideData ? this.getTideStateAt(tideData, time) : null;
+        const water = marine && Math.abs(marine.time.getTime() - ms) <= BUOY_MAX_AGE_MS ? marine : null;
+        if (!wind && !tide && !water) return null;
+
+        return {
+            source: wind?.source || null,
+            wind: wind?.speed ?? null,
+            gust: wind?.gust ?? null,
+            direction: wind?.direction ?? null,
+            tideHeight: tide?.height ?? null,
+            tideStage: tide?.stage || null,
+            tideRising: tide ? tide.rising : null,
+            waterTemp: water?.waterTemp ?? null,
+            waveHeight: water?.waveHeight ?? null
+        };
     }
 
-    getWindDirectionText(degrees) {
-        const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 
-                           'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-        const index = Math.round(degrees / 22.5) % 16;
-        return directions[index];
+    async saveLoggedSession(session) {
+        try {
+            await this.logbook.put(session);
+        } catch (error) {
+            console.error('Could not save session:', error);
+            this.showError('Could not save the session - browser storage is unavailable.');
+            return false;
+        }
+        document.getElementById('logNotes').value = '';
+        await this.loadLogbook();
+        return true;
     }
 
-    calculateKiteSize() {
-        if (!this.weatherData) return;
+    async startSession() {
+        if (this.getActiveSession() || !this.loggedSessions) return;
+        const form = this.readLogbookForm();
+        const start = new Date();
+        const data = await this.getLogData(form.location, form.spot);
+
+        await this.saveLoggedSession(this.logbook.normalize({
+            spotId: form.spot?.id || null,
+            spotName: form.location.name,
+            lat: form.location.lat,
+            lon: form.location.lon,
+            start,
+            timeZone: data.clock.timeZone,
+            kiteSize: form.kiteSize,
+            board: form.board,
+            notes: form.notes,
+            conditions: this.getLogConditions(data, start)
+        }));
+    }
 
-        const weight = parseFloat(document.getElementById('riderWeight').value) || 180;
-        const obs = this.weatherData.observation?.properties;
-        const windSpeedMs = obs?.windSpeed?.value || 0;
-        const windSpeedKnots = windSpeedMs * 1.944;
+    async endSession() {
+        const active = this.getActiveSession();
+        if (!active) return;
+        // Gear and notes filled in on the water are kept; empty fields don't wipe what was entered at the start
+        const form = this.readLogbookForm();
+        const saved = await this.saveLoggedSession({
+            ...active,
+            end: new Date().toISOString(),
+            kiteSize: form.kiteSize ?? active.kiteSize,
+            board: form.board || active.board,
+            notes: form.notes || active.notes
+        });
+        if (saved) this.showSuccessMessage(`Session at ${active.spotName} logged.`);
+    }
 
-        if (windSpeedKnots === 0) {
-            document.querySelector('.size-number').textContent = '--';
-            document.getElementById('kiteRecommendation').textContent = 'No wind data available';
+    async saveManualSession() {
+        if (!this.loggedSessions) return;
+        const form = this.readLogbookForm();
+        const data = await this.getLogData(form.location, form.spot);
+        // The times are wall-clock times at the spot
+        const start = data.clock.fromInputValue(document.getElementById('logStart').value);
+        const end = data.clock.fromInputValue(document.getElementById('logEnd').value);
+        if (!start || !end || end <= start) {
+            this.showError('Enter when the session started and ended, with the end after the start.');
+            return;
+        }
+        if (end > new Date()) {
+            this.showError('That session hasn\'t finished yet - use "Start session" to log one in progress.');
             return;
         }
 
-        // Kite size calculation based on weight and wind speed
-        // General formula: base kite size depends on weight, adjusted by wind speed
-        const baseSize = weight / 10; // Base size in m²
-        const windAdjustment = (15 - windSpeedKnots) / 3; // Adjust for wind speed
-        let kiteSize = baseSize + windAdjustment;
-
-        // Clamp between reasonable limits
-        kiteSize = Math.max(6, Math.min(18, kiteSize));
+        const saved = await this.saveLoggedSession(this.logbook.normalize({
+            spotId: form.spot?.id || null,
+            spotName: form.location.name,
+            lat: form.location.lat,
+            lon: form.location.lon,
+            start,
+            end,
+            timeZone: data.clock.timeZone,
+            kiteSize: form.kiteSize,
+            board: form.board,
+            notes: form.notes,
+            conditions: this.getLogConditions(data, start)
+        }));
+        if (saved) {
+            document.getElementById('logStart').value = '';
+            document.getElementById('logEnd').value = '';
+            document.getElementById('logManual').open = false;
+            this.showSuccessMessage(`Session at ${form.location.name} logged.`);
+        }
+    }
 
-        document.querySelector('.size-number').textContent = kiteSize.toFixed(1);
-        
-        // Recommendation text
-        let recommendation = '';
-        if (windSpeedKnots < 12) {
-            recommendation = 'Wind too light. Consider waiting or using a foil kite.';
-        } else if (windSpeedKnots > 35) {
-            recommendation = 'Wind too strong. Expert riders only with small kites.';
-        } else if (windSpeedKnots >= 12 && windSpeedKnots <= 20) {
-            recommendation = 'Perfect conditions! Great for learning and cruising.';
-        } else {
-            recommendation = 'Strong wind - experienced riders recommended.';
+    async deleteLoggedSession(id) {
+        const session = (this.loggedSessions || []).find(item => item.id === id);
+        if (!session || !confirm(`Delete the session at ${session.spotName} on ${this.getLogClock(session).formatDate(session.start, { month: 'short', day: 'numeric' })}?`)) return;
+        try {
+            await this.logbook.delete(id);
+        } catch (error) {
+            console.error('Could not delete session:', error);
+            this.showError('Could not delete the session - browser storage is unavailable.');
+            return;
         }
+        await this.loadLogbook();
+    }
 
-        document.getElementById('kiteRecommendation').textContent = recommendation;
+    exportLogbook(format) {
+        const sessions = this.loggedSessions || [];
+        const text = format === 'csv' ? this.logbook.toCsv(sessions) : this.logbook.toJson(sessions);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+        link.download = `kiteflow-logbook-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
 
-        // Update wind status indicator
-        const statusIndicator = document.querySelector('.status-indicator');
-        const statusText = document.querySelector('.status-text');
-        
-        if (windSpeedKnots < 12) {
-            statusIndicator.className = 'status-indicator';
-            statusText.textContent = 'Light wind conditions';
-        } else if (windSpeedKnots > 35) {
-            statusIndicator.className = 'status-indicator danger';
-            statusText.textContent = 'Very strong wind - be cautious';
-        } else if (windSpeedKnots >= 12 && windSpeedKnots <= 25) {
-            statusIndicator.className = 'status-indicator good';
-            statusText.textContent = 'Ideal kiting conditions!';
-        } else {
-            statusIndicator.className = 'status-indicator warning';
-            statusText.textContent = 'Strong wind - experienced kiters only';
+    async importLogbook(file) {
+        // Sessions with an id already in the logbook are replaced, so importing the same export twice is harmless
+        try {
+            const { sessions, skipped } = this.logbook.parseImport(await file.text());
+            await this.logbook.putAll(sessions);
+            await this.loadLogbook();
+            const skippedText = skipped > 0 ? `, skipped ${skipped} without valid times` : '';
+            this.showSuccessMessage(`Imported ${sessions.length} session${sessions.length === 1 ? '' : 's'} from ${file.name}${skippedText}.`);
+        } catch (error) {
+            console.error('Logbook import failed:', error);
+            this.showError(`Could not import ${file.name}: ${error.message}`);
         }
     }
 
-    updateForecast() {
-        if (!this.weatherData || !this.weatherData.hourlyForecast) {
-            return;
+    describeLogConditions(conditions) {
+        if (!conditions) return 'No conditions recorded';
+        const parts = [];
+        if (conditions.wind !== null) {
+            const direction = conditions.direction !== null ? ` ${this.getWindDirectionText(conditions.direction)}` : '';
+            parts.push(`${this.units.windWithGust(conditions.wind, conditions.gust)}${direction}${conditions.source === 'forecast' ? ' (forecast)' : ''}`);
+        }
+        if (conditions.tideHeight !== null) {
+            const trend = conditions.tideRising === null ? '' : (conditions.tideRising ? ' rising' : ' falling');
+            parts.push(`tide ${this.units.height(conditions.tideHeight)}${trend}`);
         }
+        if (conditions.waterTemp !== null) parts.push(`water ${this.units.temperature(conditions.waterTemp)}`);
+        if (conditions.waveHeight !== null) parts.push(`waves ${this.units.height(conditions.waveHeight)}`);
+        return parts.join(' • ');
+    }
 
-        const periods = this.weatherData.hourlyForecast.properties.periods.slice(0, 24);
-        const canvas = document.getElementById('forecastCanvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = canvas.offsetWidth;
-        canvas.height = canvas.offsetHeight;
+    renderLogbook() {
+        const list = document.getElementById('logbookList');
+        const stats = document.getElementById('logbookStats');
+        const active = this.getActiveSession();
+        const unavailable = this.loggedSessions === null;
 
-        // Extract wind speeds
-        const windSpeeds = periods.map(p => {
-            const speedStr = p.windSpeed || '0 mph';
-            const speed = parseFloat(speedStr);
-            return speed * 0.868976; // Convert mph to knots
+        ['logStartBtn', 'logSaveBtn', 'logExportCsv', 'logExportJson', 'logImport'].forEach(id => {
+            document.getElementById(id).disabled = unavailable;
         });
+        document.getElementById('logStartBtn').classList.toggle('hidden', !!active);
+        document.getElementById('logEndBtn').classList.toggle('hidden', !active);
+        document.getElementById('logbookActive').textContent = active
+            ? `🪁 On the water at ${active.spotName} since ${this.getLogClock(active).formatTime(active.start)}`
+            : '';
+
+        if (unavailable) {
+            list.innerHTML = '<p class="dashboard-empty">The logbook needs browser storage (IndexedDB), which isn\'t available here.</p>';
+            stats.innerHTML = '';
+            return;
+        }
 
-        const maxWind = Math.max(...windSpeeds, 25);
-        const minWind = Math.min(...windSpeeds, 5);
-        const range = maxWind - minWind || 1;
+        const finished = this.loggedSessions.filter(session => session.end);
+        if (finished.length === 0) {
+            list.innerHTML = '<p class="dashboard-empty">No sessions logged yet. Start one when you launch, or log a past session.</p>';
+            stats.innerHTML = '';
+            return;
+        }
 
-        const width = canvas.width;
-        const height = canvas.height;
-        const padding = 40;
-        const chartWidth = width - padding * 2;
-        const chartHeight = height - padding * 2;
+        list.innerHTML = finished.map(session => {
+            const clock = this.getLogClock(session);
+            const gear = [session.kiteSize !== null ? `${session.kiteSize} m²` : '', session.board].filter(Boolean);
+            return `
+                <div class="logbook-entry">
+                    <div class="logbook-when">
+                        <div>${clock.formatDate(session.start, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</div>
+                        <div class="spot-info">${clock.formatTime(session.start)}–${clock.formatTime(session.end)} ${clock.label(session.start)} • ${this.logbook.getHours(session).toFixed(1)} h</div>
+                    </div>
+                    <div class="logbook-details">
+                        <div class="spot-name">${escapeHtml(session.spotName)}</div>
+                        <div class="spot-info">${gear.length > 0 ? escapeHtml(gear.join(' • ')) : 'No gear recorded'}</div>
+                        <div class="spot-info">${this.describeLogConditions(session.conditions)}</div>
+                        ${session.notes ? `<div class="spot-info logbook-notes">${escapeHtml(session.notes)}</div>` : ''}
+                    </div>
+                    <button class="logbook-delete" title="Delete session" data-session-id="${escapeHtml(session.id)}" onclick="app.deleteLoggedSession(this.dataset.sessionId)">×</button>
+                </div>
+            `;
+        }).join('');
+
+        const groups = this.logbook.getStats(finished, session => this.getLogClock(session));
+        const monthLabel = key => new Date(`${key}-15T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+        const table = (title, rows, label) => `
+            <div class="logbook-stats-group">
+                <h3>${title}</h3>
+                <table>
+                    <tr><th></th><th>Sessions</th><th>Hours</th><th>Avg wind</th></tr>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(label(row))}</td>
+                            <td>${row.count}</td>
+                            <td>${row.hours.toFixed(1)}</td>
+                            <td>${row.avgWind !== null ? this.units.wind(row.avgWind) : '--'}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `;
+        stats.innerHTML = table('By spot', groups.spots, row => row.label) +
+            table('By kite', groups.kites, row => row.label) +
+            table('By month', groups.months, row => monthLabel(row.key));
+    }
 
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+    setupMap() {
+        const select = document.getElementById('mapTileSource');
+        const stored = localStorage.getItem('kiteflow.tileSource');
+        const sourceId = KITEFLOW_TILE_SOURCES[stored] ? stored : Object.keys(KITEFLOW_TILE_SOURCES)[0];
+        
+        select.innerHTML = Object.entries(KITEFLOW_TILE_SOURCES).map(([id, source]) =>
+            `<option value="${id}"${id === sourceId ? ' selected' : ''}>${source.label || id}</option>`
+        ).join('');
+        select.addEventListener('change', () => {
+            localStorage.setItem('kiteflow.tileSource', select.value);
+            this.map.setTileSource(KITEFLOW_TILE_SOURCES[select.value]);
+        });
+        
+        this.map = new MapView(document.getElementById('mapView'), {
+            tileSource: KITEFLOW_TILE_SOURCES[sourceId],
+            onClick: (lat, lon) => this.selectMapPoint(lat, lon),
+            onViewChange: () => this.loadMapSpotWinds()
+        });
+        
+        // The map can't size itself while off screen, and spot winds are only worth fetching once it's seen
+        if ('IntersectionObserver' in window) {
+            new IntersectionObserver(entries => {
+                this.mapVisible = entries.some(entry => entry.isIntersecting);
+                if (!this.mapVisible) return;
+                this.map.render();
+                this.loadMapSpotWinds();
+            }).observe(document.getElementById('mapView'));
+        }
+    }
 
-        // Draw grid
-        ctx.strokeStyle = '#e0e0e0';
-        ctx.lineWidth = 1;
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(width - padding, y);
-            ctx.stroke();
-            
-            // Labels
-            ctx.fillStyle = '#666';
-            ctx.font = '12px Inter';
-            ctx.textAlign = 'right';
-            const value = maxWind - (range / 5) * i;
-            ctx.fillText(value.toFixed(0) + 'kts', padding - 10, y + 4);
+    selectMapPoint(lat, lon) {
+        // A tap on the map checks exactly that point; near a known spot it becomes that spot
+        this.setCurrentLocation({ lat, lon, name: `${lat.toFixed(4)}, ${lon.toFixed(4)}` });
+        this.loadInitialData();
+    }
+
+    rememberSpotWind(spot, weatherData) {
+        // Demo numbers never go on the map
+        const wind = spot && weatherData && weatherData.provenance !== 'synthetic' ? this.getCurrentWind(weatherData) : null;
+        if (wind) {
+            this.spotWinds.set(spot.id, { ...wind, fetchedAt: this.getCachedAt(weatherData) || Date.now() });
         }
+    }
 
-        // Draw wind speed line
-        ctx.strokeStyle = '#0099ff';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
+    updateMap() {
+        if (!this.map) return;
+        
+        const location = this.currentLocation;
+        const locationKey = `${location.lat},${location.lon}`;
+        if (this.mapCenteredOn !== locationKey) {
+            this.mapCenteredOn = locationKey;
+            this.map.setView(location.lat, location.lon);
+        }
+        
+        const markers = (this.spots || []).map(spot => {
+            const wind = this.spotWinds.get(spot.id);
+            const windText = wind ? ` • ${this.units.windWithGust(wind.speed, wind.gust)} from ${this.getWindDirectionText(wind.direction)}` : '';
+            return {
+                lat: spot.lat,
+                lon: spot.lon,
+                className: `spot-marker${this.currentSpot?.id === spot.id ? ' selected' : ''}`,
+                title: `${spot.name}${windText}`,
+                // Same convention as the wind card: the arrow points to where the wind comes from
+                html: `🪁${wind && wind.direction !== null ? `<span class="map-wind-arrow" style="transform: rotate(${wind.direction}deg)">↑</span>` : ''}`,
+                onClick: () => this.selectSpot(spot.id)
+            };
+        });
+        
+        const station = this.currentStationInfo;
+        if (Number.isFinite(station?.lat) && Number.isFinite(station?.lon)) {
+            markers.push({
+                lat: station.lat,
+                lon: station.lon,
+                className: 'station-marker',
+                title: `Observation station: ${station.name || station.id}`,
+                html: '🌡️'
+            });
+        }
+        
+        const tideStation = this.currentTideStationInfo;
+        if (Number.isFinite(tideStation?.lat) && Number.isFinite(tideStation?.lon)) {
+            markers.push({
+                lat: tideStation.lat,
+                lon: tideStation.lon,
+                className: 'station-marker',
+                title: `Tide station: ${tideStation.name || tideStation.id}`,
+                html: '🌊'
+            });
+        }
+        
+        const buoy = this.marineData?.station;
+        if (buoy) {
+            markers.push({
+                lat: buoy.lat,
+                lon: buoy.lon,
+                className: 'station-marker',
+                title: `${buoy.type === 'C-MAN' ? 'C-MAN station' : 'Buoy'}: ${buoy.name} (${buoy.id})`,
+                html: '🛟'
+            });
+        }
+        
+        markers.push({
+            lat: location.lat,
+            lon: location.lon,
+            className: 'location-marker',
+            title: location.name,
+            html: '📍'
+        });
+        
+        this.map.setMarkers(markers);
+        if (this.mapVisible) this.loadMapSpotWinds();
+    }
 
-        periods.forEach((period, index) => {
-            const x = padding + (chartWidth / (periods.length - 1)) * index;
-            const normalizedSpeed = (windSpeeds[index] - minWind) / range;
-            const y = padding + chartHeight - (normalizedSpeed * chartHeight);
-            
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+    async loadMapSpotWinds() {
+        // Wind arrows for the spots in view without a recent reading; old ones and failures are tried again
+        if (!this.spots || !this.map || this.demoMode) return;
+        const bounds = this.map.getBounds();
+        const isFresh = time => time !== undefined && Date.now() - time < WEATHER_CACHE_TTL.observation;
+        const spots = this.spots.filter(spot =>
+            !this.mapWindRequests.has(spot.id) &&
+            !isFresh(this.spotWinds.get(spot.id)?.fetchedAt) && !isFresh(this.mapWindAttempts.get(spot.id)) &&
+            spot.lat <= bounds.north && spot.lat >= bounds.south &&
+            spot.lon >= bounds.west && spot.lon <= bounds.east
+        );
+        if (spots.length === 0) return;
+        
+        await Promise.all(spots.map(async spot => {
+            this.mapWindRequests.add(spot.id);
+            this.mapWindAttempts.set(spot.id, Date.now());
+            try {
+                const wind = await this.fetchCurrentWind({ lat: spot.lat, lon: spot.lon, name: spot.name });
+                if (wind) this.spotWinds.set(spot.id, { ...wind, fetchedAt: Date.now() });
+            } finally {
+                this.mapWindRequests.delete(spot.id);
             }
-        });
+        }));
+        this.updateMap();
+    }
 
-        ctx.stroke();
+    getLightState(time, location = this.currentLocation) {
+        // 'day' between sunrise and sunset, 'twilight' in civil twilight, otherwise 'night'
+        const sun = getSunTimes(location.lat, location.lon, time);
+        if (sun.sunAlways === 'up' || (sun.sunrise && time >= sun.sunrise && time < sun.sunset)) return 'day';
+        if (sun.civilAlways === 'up' || (sun.dawn && time >= sun.dawn && time < sun.dusk)) return 'twilight';
+        return 'night';
+    }
 
-        // Draw points
-        ctx.fillStyle = '#0099ff';
-        periods.forEach((period, index) => {
-            const x = padding + (chartWidth / (periods.length - 1)) * index;
-            const normalizedSpeed = (windSpeeds[index] - minWind) / range;
-            const y = padding + chartHeight - (normalizedSpeed * chartHeight);
-            
-            ctx.beginPath();
-            ctx.arc(x, y, 4, 0, Math.PI * 2);
-            ctx.fill();
-        });
+    isDaylight(time, location = this.currentLocation) {
+        return this.getLightState(time, location) === 'day';
+    }
 
-        // Draw time labels
-        ctx.fillStyle = '#666';
-        ctx.font = '10px Inter';
-        ctx.textAlign = 'center';
-        periods.forEach((period, index) => {
-            if (index % 6 === 0) {
-                const x = padding + (chartWidth / (periods.length - 1)) * index;
-                const time = new Date(period.startTime);
-                const timeStr = time.getHours() + ':00';
-                ctx.fillText(timeStr, x, height - padding + 20);
-            }
-        });
+    describeDaylight(sun) {
+        if (sun.sunAlways === 'up') return '☀️ Sun up all day';
+        if (sun.sunAlways === 'down') return '🌙 No sunrise';
+        return `🌅 ${this.clock.formatTime(sun.sunrise)} – ${this.clock.formatTime(sun.sunset)}`;
     }
 
-    updateTideDisplay() {
-        if (!this.tideData || !this.tideData.predictions) {
-            document.getElementById('tideSchedule').innerHTML = '<p>Tide data unavailable</p>';
-            return;
+    drawDarkness(ctx, start, end, toX, top, height) {
+        // Shade night and twilight on a time axis, in 10 minute steps
+        const shades = { night: 'rgba(20, 30, 70, 0.12)', twilight: 'rgba(20, 30, 70, 0.05)' };
+        const step = 600000;
+        let segmentStart = start;
+        let segmentState = this.getLightState(new Date(start));
+        for (let time = start + step; time <= end + step; time += step) {
+            const state = time <= end ? this.getLightState(new Date(time)) : null;
+            if (state === segmentState) continue;
+            if (shades[segmentState]) {
+                ctx.fillStyle = shades[segmentState];
+                ctx.fillRect(toX(segmentStart), top, toX(Math.min(time, end)) - toX(segmentStart), height);
+            }
+            segmentStart = time;
+            segmentState = state;
         }
+    }
 
-        const predictions = this.tideData.predictions;
+    renderDaylightAlert() {
+        // Darkness now, or not enough light left for a session
         const now = new Date();
+        const location = this.currentLocation;
+        const sun = getSunTimes(location.lat, location.lon, now);
+        const state = this.getLightState(now);
         
-        // Find next tide event
-        let nextTide = null;
-        for (const pred of predictions) {
-            const tideTime = new Date(pred.t + ':00');
-            if (tideTime > now) {
-                nextTide = pred;
-                break;
-            }
-        }
-
-        if (nextTide) {
-            const tideTime = new Date(nextTide.t + ':00');
-            const isHigh = nextTide.type === 'H';
-            
-            document.getElementById('tidePhase').textContent = isHigh ? 'High Tide' : 'Low Tide';
-            document.getElementById('tideTime').textContent = tideTime.toLocaleTimeString('en-US', { 
-                hour: 'numeric', 
-                minute: '2-digit',
-                hour12: true 
-            });
+        if (state !== 'day') {
+            const next = sun.sunrise && now < sun.sunrise
+                ? sun.sunrise
+                : getSunTimes(location.lat, location.lon, new Date(now.getTime() + 86400000)).sunrise;
+            const when = next ? ` Sunrise ${this.getDayKey(next) === this.getDayKey(now) ? '' : 'tomorrow '}at ${this.clock.formatTime(next)}.` : '';
+            return state === 'twilight'
+                ? `<div class="alert warning">🌆 Twilight at ${escapeHtml(location.name)} - not enough light to kite safely.${when}</div>`
+                : `<div class="alert danger">🌙 It's dark at ${escapeHtml(location.name)}. Don't kite at night - nobody can see you if something goes wrong.${when}</div>`;
         }
-
-        // Display all tide events
-        let scheduleHtml = '<div class="tide-events">';
-        predictions.forEach(pred => {
-            const tideTime = new Date(pred.t + ':00');
-            const isHigh = pred.type === 'H';
-            const type = isHigh ? 'High' : 'Low';
-            const icon = isHigh ? '↑' : '↓';
-            
-            scheduleHtml += `
-                <div class="tide-event">
-                    <span>${icon} ${type} Tide</span>
-                    <span>${tideTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}</span>
-                    <span>${pred.v} ft</span>
-                </div>
-            `;
-        });
-        scheduleHtml += '</div>';
         
-        document.getElementById('tideSchedule').innerHTML = scheduleHtml;
+        const sessionMs = this.minSessionHours * 3600000;
+        if (sun.sunset && sun.sunset - now < sessionMs) {
+            const minutes = Math.max(0, Math.round((sun.sunset - now) / 60000));
+            const left = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+            return `<div class="alert warning">🌇 Sunset at ${this.clock.formatTime(sun.sunset)}${sun.dusk ? ` (dark by ${this.clock.formatTime(sun.dusk)})` : ''}: only ${left} of daylight left, so a ${this.minSessionHours}h session would run past sunset. Plan to be off the water before then.</div>`;
+        }
+        return '';
     }
 
-    loadPopularSpots() {
-        const spots = [
-            { name: 'Kalmus Beach, Cape Cod', location: 'Hyannis, MA', description: 'Popular winter kiting spot, best with NW winds', wind: 'NW-NE' },
-            { name: 'La Ventana, Baja California Sur', location: 'Mexico', description: 'World-famous winter kiting destination, consistent thermal winds', wind: 'NE' },
-            { name: 'Corpus Christi Beach', location: 'Texas', description: 'Year-round kiting paradise', wind: 'SE-SW' },
-            { name: 'Hatteras Island', location: 'Outer Banks, NC', description: 'World-class conditions, consistent winds', wind: 'SW-NE' },
-            { name: 'Maui Kite Beach', location: 'Hawaii', description: 'Tropical kiting with consistent trade winds', wind: 'NE' },
-            { name: 'Sherman Island', location: 'Sacramento Delta, CA', description: 'Strong consistent winds, shallow water', wind: 'W-SW' }
-        ];
+    formatAlertTime(date) {
+        return `${this.clock.formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' })} ${this.clock.formatTime(date)}`;
+    }
 
-        let spotsHtml = '';
-        spots.forEach(spot => {
-            spotsHtml += `
-                <div class="spot-item" onclick="app.searchSpot('${spot.name}')">
-                    <div class="spot-name">${spot.name}</div>
-                    <div class="spot-info">${spot.location} • Best winds: ${spot.wind}</div>
-                    <div class="spot-info" style="font-size: 0.85rem; margin-top: 5px;">${spot.description}</div>
+    renderOfficialAlerts() {
+        // NWS alerts come first and stay up whatever the wind numbers say
+        if (this.alerts === null) {
+            return '<div class="alert warning">📻 Could not check official NWS alerts. Check marine forecasts before going out.</div>';
+        }
+        
+        // Alert text comes from the NWS feed (or a fixture) and is shown as text, never as markup
+        return this.alerts.map(alert => {
+            const icon = alert.level === 'danger' ? '🚩' : (alert.marine ? '⚓' : '⚠️');
+            const from = alert.effective ? `from ${this.formatAlertTime(alert.effective)}` : '';
+            const until = alert.expires ? `until ${this.formatAlertTime(alert.expires)}` : 'until further notice';
+            return `
+                <div class="alert ${alert.level} official-alert">
+                    <details>
+                        <summary>
+                            <strong>${icon} ${escapeHtml(alert.event)}</strong>
+                            <span class="alert-meta">${escapeHtml(alert.severity)} • ${from} ${until} ${this.clock.label(alert.expires || new Date())}</span>
+                        </summary>
+                        <p class="alert-headline">${escapeHtml(alert.headline)}</p>
+                        <div class="alert-text">${escapeHtml(alert.description)}</div>
+                        ${alert.instruction ? `<div class="alert-text"><strong>What to do:</strong> ${escapeHtml(alert.instruction)}</div>` : ''}
+                        <p class="alert-meta">${escapeHtml(alert.sender)}${alert.area ? ` • ${escapeHtml(alert.area)}` : ''}</p>
+                    </details>
                 </div>
             `;
-        });
-
-        document.getElementById('spotsList').innerHTML = spotsHtml;
+        }).join('');
     }
 
-    searchSpot(spotName) {
-        document.getElementById('locationInput').value = spotName;
-        this.handleSearch();
+    updateOfficialAlertsBanner() {
+        // A one-line summary above the cards so nobody scrolls past a warning
+        const banner = document.getElementById('officialAlertsBanner');
+        const alerts = (this.alerts || []).filter(alert => alert.level !== 'info');
+        if (alerts.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+        const danger = alerts.some(alert => alert.level === 'danger');
+        banner.className = `official-alerts-banner ${danger ? 'danger' : 'warning'}`;
+        banner.innerHTML = `${danger ? '🚩' : '⚠️'} In effect: ${alerts.map(alert => `<strong>${escapeHtml(alert.event)}</strong>`).join(', ')} - <a href="?view=safety" onclick="event.preventDefault(); app.setView('safety')">full text</a>`;
     }
 
     updateSafetyAlerts() {
-        if (!this.weatherData) return;
+        const provenance = this.getWeatherProvenance();
+        const checklistItems = document.querySelectorAll('.conditions-checklist li');
+        const officialHtml = this.renderOfficialAlerts() + this.renderDaylightAlert();
+        const officialWarning = (this.alerts || []).some(alert => alert.level !== 'info');
+        const daylight = this.isDaylight(new Date());
+
+        if (!this.hasRealWeatherData()) {
+            // Without real data there is nothing to base a go/no-go on
+            let alertsHtml = officialHtml + '<div class="alert danger">🚫 No real wind data available. KiteFlow cannot assess conditions - check local observations before going out.</div>';
+            if (provenance === 'synthetic') {
+                alertsHtml = officialHtml + '<div class="alert warning">🧪 Demo mode: these are synthetic conditions. Do not use them to decide whether to kite.</div>';
+            } else if (provenance === 'cached') {
+                alertsHtml = officialHtml + `<div class="alert warning">📦 These conditions were saved ${this.formatDataAge(this.weatherData.cachedAt)} and may have changed. Check the beach before going out.</div>`;
+            }
+            alertsHtml += '<div class="alert info">💡 Always check local conditions, inform someone of your location, and kite within your limits.</div>';
+            document.getElementById('safetyAlerts').innerHTML = alertsHtml;
+            checklistItems.forEach(item => item.classList.remove('checked'));
+            return;
+        }
 
         const obs = this.weatherData.observation?.properties;
-        const windSpeedMs = obs?.windSpeed?.value || 0;
-        const windSpeedKnots = windSpeedMs * 1.944;
+        const wind = this.getCurrentWind() || { speed: 0, gust: null };
+        const windSpeedKnots = wind.speed;
+        const gustMetrics = this.getGustMetrics(windSpeedKnots, wind.gust);
+        const tooGusty = gustMetrics && gustMetrics.spread > 10;
         const tempC = obs?.temperature?.value || 0;
-        const tempF = (tempC * 9/5) + 32;
+        const tempF = celsiusToFahrenheit(tempC);
+
+        let alertsHtml = officialHtml;
+
+        // Direction alerts for the selected spot - offshore wind carries riders out to sea
+        const classification = this.classifyWindForSpot(this.currentSpot, wind.direction);
+        if (wind.direction === null) {
+            alertsHtml += `<div class="alert warning">🧭 Wind direction unknown${this.currentSpot ? ` at ${this.currentSpot.name}` : ''} - the station reports none or variable. Check on the beach whether it's onshore before launching.</div>`;
+        } else if (classification && classification.relation === 'offshore') {
+            alertsHtml += `<div class="alert danger">🚨 Offshore wind at ${this.currentSpot.name}! A crash or lull means drifting out to sea. Do not kite without boat support.</div>`;
+        } else if (classification && classification.relation === 'side-off') {
+            alertsHtml += `<div class="alert warning">⚠️ Side-offshore wind at ${this.currentSpot.name}. Gusty near shore and pushes you out - experienced riders only.</div>`;
+        } else if (classification && !classification.inSector) {
+            alertsHtml += `<div class="alert warning">🧭 ${this.getWindDirectionText(wind.direction)} wind is outside ${this.currentSpot.name}'s rideable ${this.getSpotSectorText(this.currentSpot)} sector.</div>`;
+        }
+        const directionOk = wind.direction !== null && (!classification || (classification.inSector && !['offshore', 'side-off'].includes(classification.relation)));
 
-        let alertsHtml = '';
+        // Local hazards for the selected spot
+        if (this.currentSpot?.hazards?.length > 0) {
+            alertsHtml += `<div class="alert info">📍 Hazards at ${this.currentSpot.name}: ${this.currentSpot.hazards.join('; ')}.</div>`;
+        }
 
         // Wind speed alerts
         if (windSpeedKnots < 10) {
             alertsHtml += '<div class="alert warning">⚠️ Wind too light for safe kiting. Consider waiting for better conditions.</div>';
         } else if (windSpeedKnots > 35) {
             alertsHtml += '<div class="alert danger">🚨 Very strong wind! Expert riders only. Consider postponing your session.</div>';
-        } else if (windSpeedKnots >= 12 && windSpeedKnots <= 25) {
-            alertsHtml += '<div class="alert info">✅ Excellent conditions! Perfect for kiting.</div>';
+        } else if (wind.gust !== null && wind.gust > 35) {
+            alertsHtml += `<div class="alert danger">🚨 Gusts to ${this.units.wind(wind.gust)}! Expert riders only. Consider postponing your session.</div>`;
+        } else if (windSpeedKnots >= 12 && windSpeedKnots <= 25 && !tooGusty && directionOk && !officialWarning && daylight) {
+            alertsHtml += provenance === 'live'
+                ? '<div class="alert info">✅ Excellent conditions! Perfect for kiting.</div>'
+                : '<div class="alert info">✅ Forecast looks excellent for kiting. Confirm on the beach - no live observation nearby.</div>';
         }
 
-        // Temperature alerts (for winter kiting)
-        if (tempF < 32) {
-            alertsHtml += '<div class="alert warning">🥶 Freezing temperatures! Ensure proper cold-water gear and safety equipment.</div>';
+        // Gust spread alerts - a big lull-to-gust range is what lofts and drags riders
+        if (tooGusty) {
+            alertsHtml += `<div class="alert warning">💨 Very gusty: ${this.units.wind(windSpeedKnots)} gusting ${this.units.value('wind', wind.gust)} (${this.units.windSpread(gustMetrics.spread)} spread). Rig smaller and stay clear of hard objects downwind.</div>`;
+        }
+
+        // Cold-water alerts go by the buoy's water temperature; air only stands in when no buoy is near.
+        // A buoy further out may be on another body of water, so it only counts within a tighter radius
+        const buoy = this.marineData?.station;
+        const waterTemp = buoy && buoy.distance <= BUOY_COLD_WATER_RADIUS_KM ? this.marineData.waterTemp : null;
+        if (waterTemp !== null) {
+            const suit = this.recommendWetsuit(waterTemp, windSpeedKnots);
+            const source = `${escapeHtml(buoy.name)}, ${this.units.distance(buoy.distance, 1)} away`;
+            if (waterTemp < 50) {
+                alertsHtml += `<div class="alert warning">🥶 Water is ${this.units.temperature(waterTemp)} (${source}) - cold shock and hypothermia set in fast. Wear a ${suit.label}, and don't ride alone.</div>`;
+            } else if (waterTemp < 60) {
+                alertsHtml += `<div class="alert info">🧊 Cold water (${this.units.temperature(waterTemp)} at ${source}). Wear a ${suit.label}.</div>`;
+            }
+        } else if (tempF < 32) {
+            alertsHtml += '<div class="alert warning">🥶 Freezing air temperatures and no water temperature nearby! Ensure proper cold-water gear and safety equipment.</div>';
         } else if (tempF < 50) {
-            alertsHtml += '<div class="alert info">🧊 Cold conditions. Wear appropriate wetsuit and safety gear.</div>';
+            alertsHtml += '<div class="alert info">🧊 Cold air and no water temperature nearby. Wear appropriate wetsuit and safety gear.</div>';
         }
 
         // General safety reminders
@@ -959,10 +3911,9 @@ class KiteFlow {
         document.getElementById('safetyAlerts').innerHTML = alertsHtml;
 
         // Update checklist
-        const checklistItems = document.querySelectorAll('.conditions-checklist li');
         checklistItems.forEach(item => {
             const text = item.textContent;
-            if (text.includes('Wind speed') && windSpeedKnots >= 12 && windSpeedKnots <= 35) {
+            if (text.includes('Wind speed') && windSpeedKnots >= 12 && windSpeedKnots <= 35 && !tooGusty) {
                 item.classList.add('checked');
             } else if (text.includes('Wind speed')) {
                 item.classList.remove('checked');
@@ -0,0 +1,143 @@
+// KiteFlow - Buoys
+// Water temperature and waves from the nearest NDBC buoy or C-MAN (coastal)
+// station. NDBC publishes each station's recent observations as a plain-text
+// table (data/realtime2/{id}.txt), newest row first, with "MM" for missing
+// values. Stations are ranked like the Weather.gov observation stations:
+// closer is better, with bonuses for recent water temperature and wave data.
+
+const BUOY_CACHE_TTL = {
+    stations: 24 * 3600000,
+    observation: 10 * 60000
+};
+
+const BUOY_SEARCH_RADIUS_KM = 150; // Further out the water is a different body of water
+const BUOY_COLD_WATER_RADIUS_KM = 40; // Close enough for safety advice to trust its water temperature
+const BUOY_CANDIDATES = 6; // Closest stations fetched and compared
+const BUOY_MAX_AGE_MS = 6 * 3600000; // Older readings aren't today's water
+
+class BuoyData {
+    constructor(app, baseUrl = KITEFLOW_ENDPOINTS.ndbc, stationsUrl = KITEFLOW_ENDPOINTS.ndbcStations) {
+        this.app = app;
+        this.baseUrl = baseUrl;
+        this.stationsUrl = stationsUrl;
+        this.stations = null;
+    }
+
+    async loadStations(signal = null) {
+        // The station list rarely changes, so fetch it once per page load
+        if (this.stations) {
+            return this.stations;
+        }
+
+        const xml = await this.app.http.getText(this.stationsUrl, { ttl: BUOY_CACHE_TTL.stations, signal });
+        this.stations = this.parseStations(xml);
+        return this.stations;
+    }
+
+    parseStations(xml) {
+        // <station id="44013" lat="42.346" lon="-70.651" name="BOSTON 16 NM East of Boston, MA" type="buoy" met="y" .../>
+        const stations = [];
+        const tagPattern = /<station\s([^>]*?)\/?>/g;
+        let tag;
+        while ((tag = tagPattern.exec(xml)) !== null) {
+            const attrs = {};
+            tag[1].replace(/(\w+)="([^"]*)"/g, (match, name, value) => { attrs[name] = value; });
+            const lat = parseFloat(attrs.lat);
+            const lon = parseFloat(attrs.lon);
+            // Moored buoys and C-MAN stations with a met package; DART, currents-only and ships have no water data
+            if (!attrs.id || isNaN(lat) || isNaN(lon) || !['buoy', 'fixed'].includes(attrs.type) || attrs.met !== 'y') continue;
+            stations.push({
+                id: attrs.id.toUpperCase(),
+                name: attrs.name ? attrs.name.replace(/&amp;/g, '&') : `Station ${attrs.id}`,
+                type: attrs.type === 'fixed' ? 'C-MAN' : 'buoy',
+                lat,
+                lon
+            });
+        }
+        return stations;
+    }
+
+    parseObservations(text) {
+        // Latest value of each field; waves are only measured hourly, so they often sit a few rows down
+        const lines = text.split('\n').filter(line => line.trim());
+        const header = lines.find(line => line.startsWith('#YY'));
+        if (!header) return null;
+        const columns = header.replace('#', '').trim().split(/\s+/);
+
+        const rows = lines.filter(line => !line.startsWith('#')).map(line => {
+            const values = line.trim().split(/\s+/);
+            const row = {};
+            columns.forEach((column, index) => {
+                const value = parseFloat(values[index]);
+                row[column] = values[index] === 'MM' || isNaN(value) ? null : value;
+            });
+            row.time = new Date(Date.UTC(row.YY, row.MM - 1, row.DD, row.hh, row.mm));
+            return row;
+        }).filter(row => !isNaN(row.time.getTime()));
+        if (rows.length === 0) return null;
+
+        const newest = rows[0].time.getTime();
+        const latest = (column) => {
+            const row = rows.find(item => item[column] !== null && newest - item.time.getTime() <= BUOY_MAX_AGE_MS);
+            return row ? row[column] : null;
+        };
+
+        const waterTemp = latest('WTMP');
+        const waveHeight = latest('WVHT');
+        return {
+            time: rows[0].time,
+            waterTemp: waterTemp !== null ? celsiusToFahrenheit(waterTemp) : null,
+            waveHeight: waveHeight !== null ? waveHeight / UNIT_FACTORS.feetToMetres : null,
+            dominantPeriod: latest('DPD'),
+            waveDirection: latest('MWD')
+        };
+    }
+
+    async load(location, signal = null) {
+        // The best nearby station with water data, or null when there is none in range
+        const stations = await this.loadStations(signal);
+        const candidates = stations
+            .map(station => ({
+                ...station,
+                distance: this.app.calculateDistance(location.lat, location.lon, station.lat, station.lon)
+            }))
+            .filter(station => station.distance <= BUOY_SEARCH_RADIUS_KM)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, BUOY_CANDIDATES);
+
+        // The HTTP client's per-endpoint limit keeps this fan-out polite
+        const results = await Promise.all(candidates.map(async (station) => {
+            try {
+                const text = await this.app.http.getText(`${this.baseUrl}/${station.id}.txt`, {
+                    ttl: BUOY_CACHE_TTL.observation,
+                    signal
+                });
+                const observation = this.parseObservations(text);
+                if (!observation || (observation.waterTemp === null && observation.waveHeight === null)) {
+                    return null; // Station has no useful data
+                }
+
+                const isRecent = Date.now() - observation.time.getTime() < 3 * 3600000;
+                let score = 1000 / (station.distance + 1); // Closer = better score
+                if (observation.waterTemp !== null) score += 50;
+                if (observation.waveHeight !== null) score += 50;
+                if (isRecent) score += 100;
+                return { station, observation, score };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Stations in the list that aren't reporting 404 here
+                console.warn(`Error fetching buoy ${station.id}:`, error);
+                return null;
+            }
+        }));
+
+        const valid = results.filter(result => result !== null).sort((a, b) => b.score - a.score);
+        if (valid.length === 0) {
+            return null;
+        }
+
+        const best = valid[0];
+        console.log(`Using buoy: ${best.station.name} (${best.station.id}), distance: ${best.station.distance.toFixed(2)}km`);
+        return { station: best.station, ...best.observation };
+    }
+}
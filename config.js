@@ -0,0 +1,66 @@
+// KiteFlow - API endpoint configuration
+// Every network call goes through one of these base URLs. To run the app
+// against a local stub server, override entries in localStorage, e.g.
+//   localStorage.setItem('kiteflow.endpoints', JSON.stringify({ openMeteo: 'http://localhost:8080/v1/forecast' }))
+
+const KITEFLOW_ENDPOINTS = (() => {
+    const defaults = {
+        weatherGov: 'https://api.weather.gov',
+        alerts: 'https://api.weather.gov/alerts/active', // or a fixture, e.g. 'fixtures/alerts/gale-warning.json'
+        openMeteo: 'https://api.open-meteo.com/v1/forecast',
+        tides: 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter',
+        tideStations: 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations.json',
+        ndbc: 'https://www.ndbc.noaa.gov/data/realtime2', // {station}.txt, latest 45 days of buoy observations
+        ndbcStations: 'https://www.ndbc.noaa.gov/activestations.xml',
+        nominatim: 'https://nominatim.openstreetmap.org'
+    };
+
+    try {
+        const overrides = JSON.parse(localStorage.getItem('kiteflow.endpoints') || '{}');
+        return { ...defaults, ...overrides };
+    } catch (error) {
+        console.warn('Ignoring invalid endpoint overrides:', error);
+        return defaults;
+    }
+})();
+
+// Per-endpoint request rules for the HTTP client, keyed like KITEFLOW_ENDPOINTS and
+// matched by URL prefix, so endpoints on the same host can have different limits.
+// Nominatim's usage policy allows at most one request per second.
+const KITEFLOW_HOST_POLICIES = {
+    default: { maxConcurrent: 6, timeoutMs: 10000, retries: 2 },
+    weatherGov: { maxConcurrent: 4, timeoutMs: 10000 },
+    openMeteo: { maxConcurrent: 4, timeoutMs: 10000 },
+    tides: { maxConcurrent: 4, timeoutMs: 15000 },
+    tideStations: { maxConcurrent: 1, timeoutMs: 20000 },
+    ndbc: { maxConcurrent: 3, timeoutMs: 15000 },
+    nominatim: { maxConcurrent: 1, minIntervalMs: 1000, retries: 1 }
+};
+
+// Map tile sources, "{z}/{x}/{y}" URL templates. Add your own (e.g. a local tile
+// server) without touching the code:
+//   localStorage.setItem('kiteflow.tileSources', JSON.stringify({ local: { label: 'Local tiles', url: 'http://localhost:8081/{z}/{x}/{y}.png', maxZoom: 18 } }))
+const KITEFLOW_TILE_SOURCES = (() => {
+    const defaults = {
+        osm: {
+            label: 'OpenStreetMap',
+            url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            maxZoom: 19
+        },
+        topo: {
+            label: 'OpenTopoMap',
+            url: 'https://a.tile.opentopomap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap contributors, SRTM | © <a href="https://opentopomap.org">OpenTopoMap</a>',
+            maxZoom: 17
+        }
+    };
+
+    try {
+        const overrides = JSON.parse(localStorage.getItem('kiteflow.tileSources') || '{}');
+        return { ...defaults, ...overrides };
+    } catch (error) {
+        console.warn('Ignoring invalid tile source overrides:', error);
+        return defaults;
+    }
+})();
@@ -0,0 +1,231 @@
+// KiteFlow - HTTP client
+// Every API call goes through one HttpClient so the rules live in one place:
+// per-endpoint rate limits and concurrency (KITEFLOW_HOST_POLICIES), an in-memory
+// TTL cache, de-duplication of identical in-flight requests, timeouts, retries
+// with backoff, and AbortSignal support so a location switch can cancel the
+// requests of the location being left.
+
+class HttpError extends Error {
+    constructor(message, status, url) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+class HttpClient {
+    constructor(policies = KITEFLOW_HOST_POLICIES, endpoints = KITEFLOW_ENDPOINTS) {
+        this.cache = new Map();    // url -> { expires, data }
+        this.inFlight = new Map(); // url -> { promise, controller, waiting }
+        this.pools = new Map();    // endpoint name or host -> { policy, active, queue, nextSlot }
+        this.defaultPolicy = policies.default || {};
+
+        // Policies are keyed by endpoint name and matched by URL prefix, so endpoints sharing a
+        // host (tides and tideStations) keep their own limits and local stub overrides still match
+        this.policies = [];
+        Object.entries(policies).forEach(([name, policy]) => {
+            if (!endpoints[name]) return;
+            try {
+                const prefix = new URL(endpoints[name], location.href).href.replace(/\/$/, '');
+                this.policies.push({ name, prefix, policy });
+            } catch (error) {
+                console.warn(`Ignoring host policy for invalid endpoint ${name}:`, error);
+            }
+        });
+        // Most specific first
+        this.policies.sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    async getJson(url, options = {}) {
+        const { ttl = 0, signal = null } = options;
+        const key = url;
+        if (signal?.aborted) throw this.abortError();
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expires > Date.now()) {
+            return cached.data;
+        }
+
+        // Identical requests share one network call; it is only cancelled once nobody wants it
+        let entry = this.inFlight.get(key);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, waiting: 0, promise: null };
+            entry.promise = this.request(url, options, controller.signal)
+                .then(data => {
+                    if (ttl > 0) {
+                        this.cache.set(key, { expires: Date.now() + ttl, data });
+                    }
+                    return data;
+                })
+                .finally(() => {
+                    if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+                });
+            this.inFlight.set(key, entry);
+        }
+
+        entry.waiting++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                entry.waiting--;
+                if (entry.waiting === 0) {
+                    this.inFlight.delete(key);
+                    entry.controller.abort();
+                }
+                reject(this.abortError());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(resolve, reject).finally(() => {
+                signal?.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    async getText(url, options = {}) {
+        // Same rules as getJson, for plain-text feeds like NDBC's buoy files
+        return this.getJson(url, { ...options, responseType: 'text' });
+    }
+
+    async request(url, options, signal) {
+        const policy = this.getPool(url).policy;
+        const retries = options.retries ?? policy.retries ?? 2;
+        const timeout = options.timeout ?? policy.timeoutMs ?? 10000;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, options, signal, timeout);
+            } catch (error) {
+                if (signal.aborted || attempt >= retries || !this.isRetryable(error)) {
+                    throw error;
+                }
+                // Exponential backoff with jitter, or whatever the server asked for
+                const delay = error.retryAfterMs ?? (500 * 2 ** attempt + Math.random() * 250);
+                console.warn(`Retrying ${url} in ${Math.round(delay)}ms:`, error.message);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    async attempt(url, options, signal, timeout) {
+        const release = await this.acquire(url, signal);
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        try {
+            const response = await fetch(url, { headers: options.headers, signal: controller.signal });
+            if (!response.ok) {
+                const error = new HttpError(`HTTP ${response.status}`, response.status, url);
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                if (!isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+                throw error;
+            }
+            return options.responseType === 'text' ? await response.text() : await response.json();
+        } catch (error) {
+            if (timedOut) {
+                throw new HttpError(`Timed out after ${timeout}ms`, 0, url);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            release();
+        }
+    }
+
+    isRetryable(error) {
+        if (error.name === 'AbortError') return false;
+        if (error instanceof HttpError) {
+            // Timeouts, rate limiting and server errors; other 4xx won't get better
+            return error.status === 0 || error.status === 429 || error.status >= 500;
+        }
+        return true; // Network failure
+    }
+
+    getPool(url) {
+        // The longest endpoint prefix decides; anything else shares its host's default pool
+        const href = new URL(url, location.href).href;
+        const match = this.policies.find(({ prefix }) => href === prefix || (href.startsWith(prefix) && '/?#'.includes(href[prefix.length])));
+        const key = match ? match.name : new URL(href).host;
+        if (!this.pools.has(key)) {
+            this.pools.set(key, {
+                policy: { ...this.defaultPolicy, ...(match ? match.policy : {}) },
+                active: 0,
+                queue: [],
+                nextSlot: 0
+            });
+        }
+        return this.pools.get(key);
+    }
+
+    async acquire(url, signal) {
+        // Wait for a free connection slot, then for the endpoint's minimum spacing between requests
+        const pool = this.getPool(url);
+        const maxConcurrent = pool.policy.maxConcurrent || Infinity;
+        if (pool.active >= maxConcurrent) {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    pool.queue = pool.queue.filter(item => item !== waiter);
+                    reject(this.abortError());
+                };
+                // A released slot drops the abort listener, so long-lived signals don't collect them
+                const waiter = {
+                    resolve: () => {
+                        signal.removeEventListener('abort', onAbort);
+                        resolve();
+                    }
+                };
+                pool.queue.push(waiter);
+                signal.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        pool.active++;
+
+        const release = () => {
+            pool.active--;
+            const next = pool.queue.shift();
+            if (next) next.resolve();
+        };
+
+        try {
+            const minInterval = pool.policy.minIntervalMs || 0;
+            const wait = pool.nextSlot - Date.now();
+            pool.nextSlot = Math.max(Date.now(), pool.nextSlot) + minInterval;
+            if (wait > 0) {
+                await this.sleep(wait, signal);
+            }
+        } catch (error) {
+            release();
+            throw error;
+        }
+        return release;
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    abortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,272 @@
+// KiteFlow - Session logbook
+// The rider's sessions, kept in IndexedDB so they survive reloads and work
+// offline, each with a snapshot of the conditions the app saw (see
+// KiteFlow.getLogConditions). Export and import use JSON (everything, for
+// moving between devices) or CSV (one row per session, for spreadsheets).
+// Values are stored in the app's internal units: knots, feet, °F.
+
+const LOGBOOK_DB = { name: 'kiteflow', version: 1, store: 'sessions' };
+
+// CSV column -> [session field, conditions field]; units are in the header so a spreadsheet can't misread them
+const LOGBOOK_CSV_COLUMNS = {
+    id: ['id'],
+    spot_id: ['spotId'],
+    spot: ['spotName'],
+    lat: ['lat'],
+    lon: ['lon'],
+    start: ['start'],
+    end: ['end'],
+    time_zone: ['timeZone'],
+    kite_m2: ['kiteSize'],
+    board: ['board'],
+    notes: ['notes'],
+    wind_kt: ['conditions', 'wind'],
+    gust_kt: ['conditions', 'gust'],
+    direction_deg: ['conditions', 'direction'],
+    tide_ft: ['conditions', 'tideHeight'],
+    tide_stage: ['conditions', 'tideStage'],
+    tide_rising: ['conditions', 'tideRising'],
+    water_f: ['conditions', 'waterTemp'],
+    waves_ft: ['conditions', 'waveHeight'],
+    conditions_source: ['conditions', 'source']
+};
+
+// User and API text (notes, imported files, alerts, place names) goes into innerHTML, so it is escaped first
+const escapeHtml = text => String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+class SessionLogbook {
+    constructor(db = LOGBOOK_DB) {
+        this.config = db;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not supported by this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.config.name, this.config.version);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.config.store, { keyPath: 'id' });
+                    store.createIndex('start', 'start');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again (e.g. after the user re-enables storage)
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.store, mode);
+            const result = action(tx.objectStore(this.config.store));
+            tx.oncomplete = () => resolve(result?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Logbook transaction aborted'));
+        });
+    }
+
+    async getAll() {
+        const sessions = await this.transaction('readonly', store => store.getAll());
+        return (sessions || []).sort((a, b) => b.start.localeCompare(a.start));
+    }
+
+    put(session) {
+        return this.transaction('readwrite', store => store.put(session));
+    }
+
+    putAll(sessions) {
+        // One transaction, so an import lands completely or not at all
+        return this.transaction('readwrite', store => {
+            sessions.forEach(session => store.put(session));
+        });
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    createId() {
+        return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    normalize(raw) {
+        // A stored, typed session from anything shaped like one (imports, form input); null if unusable
+        const start = new Date(raw.start);
+        const end = raw.end ? new Date(raw.end) : null;
+        if (isNaN(start.getTime()) || (end && (isNaN(end.getTime()) || end <= start))) {
+            return null;
+        }
+
+        const number = value => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+        let conditions = null;
+        if (raw.conditions && typeof raw.conditions === 'object') {
+            const c = raw.conditions;
+            conditions = {
+                source: c.source || null,
+                wind: number(c.wind),
+                gust: number(c.gust),
+                direction: number(c.direction),
+                tideHeight: number(c.tideHeight),
+                tideStage: c.tideStage || null,
+                tideRising: [true, 'true'].includes(c.tideRising) ? true : ([false, 'false'].includes(c.tideRising) ? false : null),
+                waterTemp: number(c.waterTemp),
+                waveHeight: number(c.waveHeight)
+            };
+            const hasValue = Object.entries(conditions).some(([key, value]) => key !== 'source' && value !== null);
+            if (!hasValue) conditions = null;
+        }
+
+        return {
+            id: raw.id ? String(raw.id) : this.createId(),
+            spotId: raw.spotId || null,
+            spotName: raw.spotName ? String(raw.spotName) : 'Unknown spot',
+            lat: number(raw.lat),
+            lon: number(raw.lon),
+            start: start.toISOString(),
+            end: end ? end.toISOString() : null,
+            timeZone: raw.timeZone || null,
+            kiteSize: number(raw.kiteSize),
+            board: raw.board ? String(raw.board) : '',
+            notes: raw.notes ? String(raw.notes) : '',
+            conditions
+        };
+    }
+
+    getHours(session) {
+        return session.end ? (new Date(session.end) - new Date(session.start)) / 3600000 : 0;
+    }
+
+    getStats(sessions, getClock) {
+        // Finished sessions grouped by spot, kite and month at the spot: count, hours on the water, average wind
+        const groups = { spots: new Map(), kites: new Map(), months: new Map() };
+        const add = (map, key, label, session) => {
+            if (!map.has(key)) map.set(key, { key, label, count: 0, hours: 0, windTotal: 0, windCount: 0 });
+            const group = map.get(key);
+            group.count++;
+            group.hours += this.getHours(session);
+            if (session.conditions?.wind !== null && session.conditions?.wind !== undefined) {
+                group.windTotal += session.conditions.wind;
+                group.windCount++;
+            }
+        };
+
+        sessions.filter(session => session.end).forEach(session => {
+            add(groups.spots, session.spotId || session.spotName, session.spotName, session);
+            const kite = session.kiteSize !== null ? `${session.kiteSize}` : 'unknown';
+            add(groups.kites, kite, session.kiteSize !== null ? `${session.kiteSize} m²` : 'Not recorded', session);
+            const month = getClock(session).dayKey(session.start).slice(0, 7);
+            add(groups.months, month, month, session);
+        });
+
+        const finish = (map, sort) => [...map.values()]
+            .map(group => ({ ...group, avgWind: group.windCount > 0 ? group.windTotal / group.windCount : null }))
+            .sort(sort);
+        return {
+            spots: finish(groups.spots, (a, b) => b.hours - a.hours),
+            kites: finish(groups.kites, (a, b) => (parseFloat(a.key) || Infinity) - (parseFloat(b.key) || Infinity)),
+            months: finish(groups.months, (a, b) => b.key.localeCompare(a.key))
+        };
+    }
+
+    toJson(sessions) {
+        return JSON.stringify({ format: 'kiteflow-logbook', version: 1, exportedAt: new Date().toISOString(), sessions }, null, 2);
+    }
+
+    toCsv(sessions) {
+        const quote = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = sessions.map(session => Object.values(LOGBOOK_CSV_COLUMNS)
+            .map(([field, subfield]) => quote(subfield ? session[field]?.[subfield] : session[field]))
+            .join(','));
+        return [Object.keys(LOGBOOK_CSV_COLUMNS).join(','), ...rows].join('\r\n');
+    }
+
+    parseCsvRows(text) {
+        // RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    parseImport(text) {
+        // JSON export (or a bare array of sessions) or CSV with our header; returns { sessions, skipped }
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        let raws;
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            raws = Array.isArray(data) ? data : data.sessions;
+            if (!Array.isArray(raws)) throw new Error('No sessions found in this JSON file');
+        } else {
+            const [header, ...rows] = this.parseCsvRows(trimmed);
+            const columns = (header || []).map(name => name.trim().toLowerCase());
+            if (!columns.includes('start')) throw new Error('The CSV file needs at least a "start" column');
+            raws = rows.map(cells => {
+                const raw = { conditions: {} };
+                columns.forEach((name, index) => {
+                    const target = LOGBOOK_CSV_COLUMNS[name];
+                    const value = (cells[index] ?? '').trim();
+                    if (!target || value === '') return;
+                    if (target[1]) {
+                        raw.conditions[target[1]] = value;
+                    } else {
+                        raw[target[0]] = value;
+                    }
+                });
+                return raw;
+            });
+        }
+
+        const sessions = raws.map(raw => (raw && typeof raw === 'object' ? this.normalize(raw) : null));
+        return {
+            sessions: sessions.filter(Boolean),
+            skipped: sessions.filter(session => !session).length
+        };
+    }
+}
@@ -0,0 +1,228 @@
+// KiteFlow - Map view
+// A small slippy map on plain DOM: Web Mercator tiles from any
+// "{z}/{x}/{y}" tile source (see KITEFLOW_TILE_SOURCES), drag to pan,
+// wheel or buttons to zoom, click to pick a point, and HTML markers.
+
+const TILE_SIZE = 256;
+
+class MapView {
+    constructor(container, { tileSource, onClick = null, onViewChange = null, zoom = 10 } = {}) {
+        this.container = container;
+        this.tileSource = tileSource;
+        this.onClick = onClick;
+        this.onViewChange = onViewChange; // After a pan or zoom by the user
+        this.zoom = zoom;
+        this.center = { lat: 0, lon: 0 };
+        this.markers = [];
+        this.tiles = new Map(); // "z/x/y" -> <img>
+
+        container.classList.add('map-view');
+        container.innerHTML = `
+            <div class="map-tiles"></div>
+            <div class="map-markers"></div>
+            <div class="map-zoom">
+                <button data-zoom="1" title="Zoom in">+</button>
+                <button data-zoom="-1" title="Zoom out">−</button>
+            </div>
+            <div class="map-attribution"></div>
+        `;
+        this.tileLayer = container.querySelector('.map-tiles');
+        this.markerLayer = container.querySelector('.map-markers');
+        this.attribution = container.querySelector('.map-attribution');
+
+        this.setupInteraction();
+        this.setTileSource(tileSource);
+    }
+
+    setupInteraction() {
+        let drag = null;
+
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.map-zoom, .map-marker')) return;
+            drag = { x: e.clientX, y: e.clientY, moved: 0 };
+            this.container.setPointerCapture(e.pointerId);
+        });
+        this.container.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const dx = e.clientX - drag.x;
+            const dy = e.clientY - drag.y;
+            drag.moved += Math.abs(dx) + Math.abs(dy);
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+            const center = this.project(this.center.lat, this.center.lon);
+            this.center = this.unproject(center.x - dx, center.y - dy);
+            this.render();
+        });
+        this.container.addEventListener('pointerup', (e) => {
+            if (!drag) return;
+            // A press that barely moved is a click, not a pan
+            if (drag.moved < 5 && this.onClick) {
+                const point = this.pointFromEvent(e);
+                this.onClick(point.lat, point.lon);
+            } else if (drag.moved >= 5) {
+                this.onViewChange?.();
+            }
+            drag = null;
+        });
+
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAround(this.zoom + (e.deltaY < 0 ? 1 : -1), e);
+            this.onViewChange?.();
+        }, { passive: false });
+
+        this.container.querySelectorAll('.map-zoom button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setZoom(this.zoom + parseInt(button.dataset.zoom, 10));
+                this.onViewChange?.();
+            });
+        });
+
+        window.addEventListener('resize', () => this.render());
+    }
+
+    setTileSource(tileSource) {
+        this.tileSource = tileSource;
+        this.tiles.forEach(img => img.remove());
+        this.tiles.clear();
+        this.attribution.innerHTML = tileSource.attribution || '';
+        this.zoom = Math.min(this.zoom, tileSource.maxZoom || 19);
+        this.render();
+    }
+
+    setView(lat, lon, zoom = this.zoom) {
+        this.center = { lat, lon };
+        this.zoom = zoom;
+        this.render();
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(2, Math.min(this.tileSource.maxZoom || 19, zoom));
+        this.render();
+    }
+
+    zoomAround(zoom, event) {
+        // Keep the point under the cursor where it is
+        const rect = this.container.getBoundingClientRect();
+        const offsetX = event.clientX - rect.left - this.container.clientWidth / 2;
+        const offsetY = event.clientY - rect.top - this.container.clientHeight / 2;
+        const anchor = this.pointFromEvent(event);
+        this.zoom = Math.max(2, Math.min(this.tileSource.maxZoom || 19, zoom));
+        const point = this.project(anchor.lat, anchor.lon);
+        this.center = this.unproject(point.x - offsetX, point.y - offsetY);
+        this.render();
+    }
+
+    setMarkers(markers) {
+        // [{ lat, lon, html, className, title, onClick }]
+        this.markers = markers;
+        this.render();
+    }
+
+    project(lat, lon, zoom = this.zoom) {
+        const size = TILE_SIZE * 2 ** zoom;
+        const sin = Math.sin(Math.max(-85.05, Math.min(85.05, lat)) * Math.PI / 180);
+        return {
+            x: (lon + 180) / 360 * size,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+        };
+    }
+
+    unproject(x, y, zoom = this.zoom) {
+        const size = TILE_SIZE * 2 ** zoom;
+        const lon = x / size * 360 - 180;
+        const n = Math.PI - 2 * Math.PI * y / size;
+        const lat = Math.atan(Math.sinh(n)) * 180 / Math.PI;
+        // Wrap longitude so panning across the date line keeps working
+        return { lat, lon: ((lon + 540) % 360) - 180 };
+    }
+
+    pointFromEvent(event) {
+        const rect = this.container.getBoundingClientRect();
+        const origin = this.getOrigin();
+        return this.unproject(origin.x + event.clientX - rect.left, origin.y + event.clientY - rect.top);
+    }
+
+    getOrigin() {
+        // World pixel at the container's top-left corner
+        const center = this.project(this.center.lat, this.center.lon);
+        return {
+            x: center.x - this.container.clientWidth / 2,
+            y: center.y - this.container.clientHeight / 2
+        };
+    }
+
+    getBounds() {
+        const origin = this.getOrigin();
+        const topLeft = this.unproject(origin.x, origin.y);
+        const bottomRight = this.unproject(origin.x + this.container.clientWidth, origin.y + this.container.clientHeight);
+        return { north: topLeft.lat, south: bottomRight.lat, west: topLeft.lon, east: bottomRight.lon };
+    }
+
+    tileUrl(x, y, z) {
+        return this.tileSource.url
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    render() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height) return;
+
+        const origin = this.getOrigin();
+        const count = 2 ** this.zoom;
+        const needed = new Set();
+
+        for (let tx = Math.floor(origin.x / TILE_SIZE); tx * TILE_SIZE < origin.x + width; tx++) {
+            for (let ty = Math.max(0, Math.floor(origin.y / TILE_SIZE)); ty * TILE_SIZE < origin.y + height && ty < count; ty++) {
+                const wrappedX = ((tx % count) + count) % count;
+                const key = `${this.zoom}/${tx}/${ty}`;
+                needed.add(key);
+                let img = this.tiles.get(key);
+                if (!img) {
+                    img = document.createElement('img');
+                    img.className = 'map-tile';
+                    img.alt = '';
+                    img.draggable = false;
+                    img.src = this.tileUrl(wrappedX, ty, this.zoom);
+                    this.tileLayer.appendChild(img);
+                    this.tiles.set(key, img);
+                }
+                img.style.left = `${Math.round(tx * TILE_SIZE - origin.x)}px`;
+                img.style.top = `${Math.round(ty * TILE_SIZE - origin.y)}px`;
+            }
+        }
+
+        // Drop tiles that scrolled out of view or belong to another zoom level
+        this.tiles.forEach((img, key) => {
+            if (!needed.has(key)) {
+                img.remove();
+                this.tiles.delete(key);
+            }
+        });
+
+        this.markerLayer.innerHTML = '';
+        this.markers.forEach(marker => {
+            const point = this.project(marker.lat, marker.lon);
+            const left = point.x - origin.x;
+            const top = point.y - origin.y;
+            if (left < -50 || top < -50 || left > width + 50 || top > height + 50) return;
+
+            const element = document.createElement('div');
+            element.className = `map-marker ${marker.className || ''}`;
+            element.style.left = `${Math.round(left)}px`;
+            element.style.top = `${Math.round(top)}px`;
+            element.innerHTML = marker.html || '';
+            element.title = marker.title || '';
+            if (marker.onClick) {
+                element.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    marker.onClick();
+                });
+            }
+            this.markerLayer.appendChild(element);
+        });
+    }
+}
@@ -0,0 +1,66 @@
+// KiteFlow - Service worker
+// Caches the app shell so KiteFlow opens at the beach without signal. Weather
+// and tide responses are not touched here: the app keeps the last good ones
+// per location itself so it can show how old they are.
+
+const SHELL_CACHE = 'kiteflow-shell-v8';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'config.js',
+    'units.js',
+    'spot-time.js',
+    'sun.js',
+    'http-client.js',
+    'weather-providers.js',
+    'alerts.js',
+    'buoys.js',
+    'map-view.js',
+    'logbook.js',
+    'app.js',
+    'spots.json',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop shells from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Stale-while-revalidate: answer from the cache straight away, update it for next time
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(async cache => {
+            const cached = await cache.match(event.request, { ignoreSearch: true });
+            const network = fetch(event.request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(event.request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    if (cached) return cached;
+                    throw error;
+                });
+            return cached || network;
+        })
+    );
+});
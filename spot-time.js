@@ -0,0 +1,114 @@
+// KiteFlow - Spot time
+// Every time the app shows belongs to the spot, not to the browser: someone in
+// Boston checking Maui wants Maui's tide times and forecast hours. SpotClock
+// wraps an IANA zone (from the weather provider, e.g. the Weather.gov point's
+// timeZone) and does the calendar maths through Intl so DST is handled for us.
+// Timestamps stay absolute (Date / ms) everywhere else; only display and
+// day grouping go through a clock.
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+class SpotClock {
+    constructor(timeZone = BROWSER_TIME_ZONE, source = 'browser') {
+        // An unknown zone name would make every formatter throw, so check it once here
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            this.timeZone = timeZone;
+            this.source = source;
+        } catch (error) {
+            console.warn(`Unknown time zone ${timeZone}, using the browser's:`, error);
+            this.timeZone = BROWSER_TIME_ZONE;
+            this.source = 'browser';
+        }
+        this.formatters = new Map();
+    }
+
+    // Fixed offset from UTC in hours, e.g. a NOAA station's standard-time correction.
+    // Etc/GMT zones have the sign reversed: UTC-5 is Etc/GMT+5.
+    static fromOffsetHours(hours, source = 'offset') {
+        if (!Number.isInteger(hours) || Math.abs(hours) > 14) return null;
+        return new SpotClock(hours === 0 ? 'UTC' : `Etc/GMT${hours < 0 ? '+' : '-'}${Math.abs(hours)}`, source);
+    }
+
+    formatter(options) {
+        const key = JSON.stringify(options);
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.DateTimeFormat('en-US', { ...options, timeZone: this.timeZone }));
+        }
+        return this.formatters.get(key);
+    }
+
+    parts(date) {
+        const values = {};
+        this.formatter({ year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+            .formatToParts(new Date(date))
+            .forEach(part => { values[part.type] = part.value; });
+        return {
+            year: parseInt(values.year, 10),
+            month: parseInt(values.month, 10),
+            day: parseInt(values.day, 10),
+            hour: parseInt(values.hour, 10),
+            minute: parseInt(values.minute, 10)
+        };
+    }
+
+    hour(date) {
+        return this.parts(date).hour;
+    }
+
+    // Calendar day at the spot, "YYYY-MM-DD"
+    dayKey(date) {
+        const { year, month, day } = this.parts(date);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // Minutes ahead of UTC at that moment
+    offsetMinutes(date) {
+        const { year, month, day, hour, minute } = this.parts(date);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        return Math.round((wallClock - Math.floor(new Date(date).getTime() / 60000) * 60000) / 60000);
+    }
+
+    // "3:05 PM"
+    formatTime(date) {
+        return this.formatter({ hour: 'numeric', minute: '2-digit', hour12: true }).format(new Date(date));
+    }
+
+    // "15:00" style, for chart axes and hourly rows
+    formatHour(date) {
+        const { hour, minute } = this.parts(date);
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    formatDate(date, options) {
+        return this.formatter(options).format(new Date(date));
+    }
+
+    // "YYYY-MM-DDTHH:MM" at the spot, the value format of <input type="datetime-local">
+    toInputValue(date) {
+        const { year, month, day, hour, minute } = this.parts(date);
+        const pad = value => String(value).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+    }
+
+    // The moment a datetime-local value means at the spot, or null if it isn't one
+    fromInputValue(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+        const wallClock = Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5]);
+        // Take the offset near that wall-clock time, then re-check it in case a DST change lies in between
+        const guess = wallClock - this.offsetMinutes(wallClock) * 60000;
+        return new Date(wallClock - this.offsetMinutes(guess) * 60000);
+    }
+
+    // Short zone name like "PDT", or "GMT-7" where there isn't one
+    label(date = new Date()) {
+        const part = this.formatter({ timeZoneName: 'short' }).formatToParts(new Date(date))
+            .find(item => item.type === 'timeZoneName');
+        return part ? part.value : this.timeZone;
+    }
+
+    isBrowserZone(date = new Date()) {
+        return this.offsetMinutes(date) === -new Date(date).getTimezoneOffset();
+    }
+}
@@ -0,0 +1,54 @@
+// KiteFlow - Sun
+// Sunrise, sunset and civil twilight from latitude/longitude alone, so
+// daylight is known offline and for every forecast day. This is the standard
+// sunrise equation (as used by NOAA's solar calculator, simplified); it is
+// good to a minute or two, which is plenty for deciding when to get off the water.
+
+const SUN_ALTITUDE = {
+    sunrise: -0.833, // Upper limb on the horizon, with refraction
+    civil: -6        // Civil twilight: too dark to ride below this
+};
+
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_2000 = 2451545;
+const EARTH_OBLIQUITY = 23.4397;
+
+const toJulian = ms => ms / 86400000 + JULIAN_UNIX_EPOCH;
+const fromJulian = julian => new Date((julian - JULIAN_UNIX_EPOCH) * 86400000);
+const sinDeg = degrees => Math.sin(degrees * Math.PI / 180);
+const cosDeg = degrees => Math.cos(degrees * Math.PI / 180);
+
+// Sun times for the solar day whose noon is nearest to `date` at this spot.
+// Each of dawn/sunrise/sunset/dusk is a Date, or null in polar day or night;
+// sunAlways / civilAlways then say which ('up'/'down') the whole day is.
+const getSunTimes = (lat, lon, date = new Date()) => {
+    const day = Math.round(toJulian(new Date(date).getTime()) - JULIAN_2000 + lon / 360);
+    const meanNoon = day - lon / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const center = 1.9148 * sinDeg(anomaly) + 0.02 * sinDeg(2 * anomaly) + 0.0003 * sinDeg(3 * anomaly);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = JULIAN_2000 + meanNoon + 0.0053 * sinDeg(anomaly) - 0.0069 * sinDeg(2 * eclipticLongitude);
+    const declinationSin = sinDeg(eclipticLongitude) * sinDeg(EARTH_OBLIQUITY);
+    const declinationCos = Math.sqrt(1 - declinationSin * declinationSin);
+
+    // Half the time the sun spends above `altitude`, as a fraction of a day
+    const crossing = altitude => {
+        const cosHourAngle = (sinDeg(altitude) - sinDeg(lat) * declinationSin) / (cosDeg(lat) * declinationCos);
+        if (cosHourAngle < -1) return { always: 'up' };
+        if (cosHourAngle > 1) return { always: 'down' };
+        const halfDay = Math.acos(cosHourAngle) * 180 / Math.PI / 360;
+        return { rise: fromJulian(transit - halfDay), set: fromJulian(transit + halfDay) };
+    };
+
+    const sun = crossing(SUN_ALTITUDE.sunrise);
+    const civil = crossing(SUN_ALTITUDE.civil);
+    return {
+        noon: fromJulian(transit),
+        dawn: civil.rise || null,
+        sunrise: sun.rise || null,
+        sunset: sun.set || null,
+        dusk: civil.set || null,
+        sunAlways: sun.always || null,
+        civilAlways: civil.always || null
+    };
+};
@@ -0,0 +1,164 @@
+// KiteFlow - Units
+// Internally the app keeps wind in knots, temperatures in °F, tide heights in
+// feet, distances in km and rider weight in lb. Conversions live here, and
+// everything shown to the rider goes through UnitPreferences so one setting
+// switches every card, chart axis and the kite calculator.
+
+const UNIT_FACTORS = {
+    msToKnots: 1.943844,
+    knotsToMs: 0.514444,
+    mphToKnots: 0.868976,
+    kmhToKnots: 0.539957,
+    feetToMetres: 0.3048,
+    kmToMiles: 0.621371,
+    kgToLb: 2.20462
+};
+
+// Lower bound in knots of each Beaufort force 0-12
+const BEAUFORT_KNOTS = [0, 1, 4, 7, 11, 17, 22, 28, 34, 41, 48, 56, 64];
+
+const celsiusToFahrenheit = celsius => (celsius * 9 / 5) + 32;
+const fahrenheitToCelsius = fahrenheit => (fahrenheit - 32) * 5 / 9;
+
+// An observation's { value, unitCode } wind in knots, or null without a value. Weather.gov
+// stations report "wmoUnit:km_h-1"; observations without a unit code are m/s
+const observedWindToKnots = quantity => {
+    const value = quantity?.value;
+    if (value === null || value === undefined) return null;
+    return (quantity.unitCode || '').includes('km_h-1') ? value * UNIT_FACTORS.kmhToKnots : value * UNIT_FACTORS.msToKnots;
+};
+
+const knotsToBeaufort = knots => {
+    let force = 0;
+    while (force < 12 && Math.round(knots) >= BEAUFORT_KNOTS[force + 1]) force++;
+    return force;
+};
+
+// A typed force means the middle of its range, not its lower bound (force 6 is 22-27 kt, so 24.5 kt)
+const beaufortToKnots = force => {
+    const clamped = Math.max(0, Math.min(12, Math.round(force)));
+    if (clamped === 0 || clamped === 12) return BEAUFORT_KNOTS[clamped];
+    return (BEAUFORT_KNOTS[clamped] + BEAUFORT_KNOTS[clamped + 1] - 1) / 2;
+};
+
+// Each unit converts from and to the internal unit of its quantity
+const UNIT_OPTIONS = {
+    wind: {
+        kt: { label: 'knots', short: 'kt', decimals: 0, from: kt => kt, to: kt => kt },
+        ms: { label: 'm/s', short: 'm/s', decimals: 1, from: kt => kt * UNIT_FACTORS.knotsToMs, to: ms => ms * UNIT_FACTORS.msToKnots },
+        kmh: { label: 'km/h', short: 'km/h', decimals: 0, from: kt => kt / UNIT_FACTORS.kmhToKnots, to: kmh => kmh * UNIT_FACTORS.kmhToKnots },
+        mph: { label: 'mph', short: 'mph', decimals: 0, from: kt => kt / UNIT_FACTORS.mphToKnots, to: mph => mph * UNIT_FACTORS.mphToKnots },
+        bft: { label: 'Beaufort', short: 'Bft', decimals: 0, from: knotsToBeaufort, to: beaufortToKnots }
+    },
+    temperature: {
+        F: { label: '°F', short: '°F', decimals: 0, from: f => f, to: f => f },
+        C: { label: '°C', short: '°C', decimals: 0, from: fahrenheitToCelsius, to: celsiusToFahrenheit }
+    },
+    height: {
+        ft: { label: 'feet', short: 'ft', decimals: 1, from: ft => ft, to: ft => ft },
+        m: { label: 'metres', short: 'm', decimals: 1, from: ft => ft * UNIT_FACTORS.feetToMetres, to: m => m / UNIT_FACTORS.feetToMetres }
+    },
+    distance: {
+        km: { label: 'km', short: 'km', decimals: 0, from: km => km, to: km => km },
+        mi: { label: 'miles', short: 'mi', decimals: 0, from: km => km * UNIT_FACTORS.kmToMiles, to: mi => mi / UNIT_FACTORS.kmToMiles }
+    },
+    weight: {
+        lb: { label: 'lb', short: 'lb', decimals: 0, from: lb => lb, to: lb => lb },
+        kg: { label: 'kg', short: 'kg', decimals: 0, from: lb => lb / UNIT_FACTORS.kgToLb, to: kg => kg * UNIT_FACTORS.kgToLb }
+    }
+};
+
+const UNIT_PRESETS = {
+    imperial: { wind: 'kt', temperature: 'F', height: 'ft', distance: 'mi', weight: 'lb' },
+    metric: { wind: 'ms', temperature: 'C', height: 'm', distance: 'km', weight: 'kg' }
+};
+
+class UnitPreferences {
+    constructor(storageKey = 'kiteflow.units') {
+        this.storageKey = storageKey;
+        this.selected = this.load();
+    }
+
+    load() {
+        const defaults = { wind: 'kt', temperature: 'F', height: 'ft', distance: 'km', weight: 'lb' };
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            // Drop anything that is not a unit we know, e.g. from an older version
+            Object.keys(stored).forEach(quantity => {
+                if (!UNIT_OPTIONS[quantity]?.[stored[quantity]]) delete stored[quantity];
+            });
+            return { ...defaults, ...stored };
+        } catch (error) {
+            console.warn('Ignoring invalid unit preferences:', error);
+            return defaults;
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.selected));
+    }
+
+    set(quantity, unit) {
+        if (!UNIT_OPTIONS[quantity]?.[unit]) return;
+        this.selected[quantity] = unit;
+        this.save();
+    }
+
+    applyPreset(name) {
+        if (!UNIT_PRESETS[name]) return;
+        this.selected = { ...UNIT_PRESETS[name] };
+        this.save();
+    }
+
+    option(quantity) {
+        return UNIT_OPTIONS[quantity][this.selected[quantity]];
+    }
+
+    unit(quantity) {
+        return this.option(quantity).short;
+    }
+
+    // Internal value -> display value
+    convert(quantity, value) {
+        return this.option(quantity).from(value);
+    }
+
+    // Display value (e.g. typed into an input) -> internal value
+    toInternal(quantity, value) {
+        return this.option(quantity).to(value);
+    }
+
+    // Number only, rounded for the unit; '--' when there is no value
+    value(quantity, value, decimals = this.option(quantity).decimals) {
+        if (value === null || value === undefined || isNaN(value)) return '--';
+        return this.convert(quantity, value).toFixed(decimals);
+    }
+
+    format(quantity, value, decimals) {
+        const unit = this.unit(quantity);
+        const separator = unit.startsWith('°') ? '' : ' ';
+        return `${this.value(quantity, value, decimals)}${separator}${unit}`;
+    }
+
+    // "16–21 kt" style ranges in one unit
+    formatRange(quantity, low, high) {
+        return `${this.value(quantity, low)}–${this.value(quantity, high)} ${this.unit(quantity)}`;
+    }
+
+    // "16-21 kt" for a mean wind and its gust, just "16 kt" without one
+    windWithGust(knots, gustKnots) {
+        const gust = gustKnots !== null && gustKnots !== undefined ? `-${this.value('wind', gustKnots)}` : '';
+        return `${this.value('wind', knots)}${gust} ${this.unit('wind')}`;
+    }
+
+    // Gust spreads and other differences; Beaufort forces don't subtract, so those stay in knots
+    windSpread(knots) {
+        return this.selected.wind === 'bft' ? `${knots.toFixed(0)} kt` : this.wind(knots);
+    }
+
+    wind(knots, decimals) { return this.format('wind', knots, decimals); }
+    temperature(fahrenheit) { return this.format('temperature', fahrenheit); }
+    height(feet, decimals) { return this.format('height', feet, decimals); }
+    distance(km, decimals) { return this.format('distance', km, decimals); }
+    weight(lb) { return this.format('weight', lb); }
+}
@@ -0,0 +1,452 @@
+// KiteFlow - Weather providers
+// Each provider turns its API into the Weather.gov-shaped structure the UI
+// already understands:
+//   { observation, hourlyForecast, forecast, point, useForecast, stationInfo, provider,
+//     observationHistory, pastForecast }
+// Wind speeds in `observation` are m/s unless their unitCode says km/h (Weather.gov
+// stations do), temperatures are °C; hourly periods carry wind as strings with a
+// unit ("12 mph", "14 kt") like Weather.gov does.
+// observationHistory and pastForecast are [{ time, speed, gust, direction }]
+// with time in ms and wind in knots, oldest first (null when unavailable).
+// loadCurrentWind returns only { observation, provider }, for the map markers.
+// All requests go through app.http; `signal` cancels a load that is no longer wanted.
+
+// How long each kind of response stays fresh in the HTTP client's cache
+const WEATHER_CACHE_TTL = {
+    point: 24 * 3600000,       // Grid points and station lists don't move
+    observation: 5 * 60000,
+    forecast: 15 * 60000
+};
+
+// How far back the measured wind history goes
+const OBSERVATION_HISTORY_HOURS = 24;
+
+class WeatherGovProvider {
+    constructor(app, baseUrl = KITEFLOW_ENDPOINTS.weatherGov) {
+        this.app = app;
+        this.baseUrl = baseUrl;
+        this.name = 'weather.gov';
+        this.label = 'Weather.gov';
+    }
+
+    covers(lat, lon) {
+        // Rough NWS forecast areas. Points near the edges (northern Mexico, Canada)
+        // still fail at /points and fall through to the next provider.
+        const areas = [
+            { minLat: 24.4, maxLat: 49.5, minLon: -125, maxLon: -66.5 }, // Contiguous US
+            { minLat: 51, maxLat: 71.5, minLon: -180, maxLon: -129 },     // Alaska
+            { minLat: 18.5, maxLat: 22.5, minLon: -161, maxLon: -154 },   // Hawaii
+            { minLat: 17.5, maxLat: 18.7, minLon: -68, maxLon: -64.5 },   // Puerto Rico & USVI
+            { minLat: 13, maxLat: 15.5, minLon: 144.5, maxLon: 146 }      // Guam & Northern Marianas
+        ];
+        return areas.some(area =>
+            lat >= area.minLat && lat <= area.maxLat && lon >= area.minLon && lon <= area.maxLon
+        );
+    }
+
+    async load(location, signal = null) {
+        const http = this.app.http;
+
+        // First, get the grid point from lat/lon using Weather.gov API
+        const pointUrl = `${this.baseUrl}/points/${location.lat},${location.lon}`;
+        const pointData = await http.getJson(pointUrl, { ttl: WEATHER_CACHE_TTL.point, signal });
+        const forecastUrl = pointData.properties.forecast;
+        const hourlyForecastUrl = pointData.properties.forecastHourly;
+        const observationUrl = pointData.properties.observationStations;
+
+        // Get current observations - find best station for this location
+        let observationData = null;
+        let stationInfo = null;
+        try {
+            const stationsData = await http.getJson(observationUrl, { ttl: WEATHER_CACHE_TTL.point, signal });
+
+            if (stationsData.features && stationsData.features.length > 0) {
+                // Find the best station - closest to our location and with recent data
+                const best = await this.findBestObservationStation(
+                    stationsData.features,
+                    location.lat,
+                    location.lon,
+                    signal
+                );
+                if (best) {
+                    observationData = best.data;
+                    stationInfo = best.stationInfo;
+                }
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.warn('Could not fetch observations:', e);
+        }
+
+        // Get hourly forecast for wind data
+        const hourlyData = await http.getJson(hourlyForecastUrl, { ttl: WEATHER_CACHE_TTL.forecast, signal });
+
+        // Hourly periods have no gusts - take them from the gridpoint forecast
+        let pastForecast = [];
+        try {
+            const gridUrl = pointData.properties.forecastGridData;
+            if (gridUrl) {
+                const gridData = await http.getJson(gridUrl, { ttl: WEATHER_CACHE_TTL.forecast, signal });
+                this.attachForecastGusts(hourlyData?.properties?.periods || [], gridData);
+                pastForecast = this.getPastForecastWind(gridData);
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.warn('Could not fetch gridpoint gusts:', e);
+        }
+
+        // Measured wind over the last day from the same station, to see the trend
+        let observationHistory = null;
+        if (stationInfo) {
+            try {
+                observationHistory = await this.loadObservationHistory(stationInfo.id, signal);
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                console.warn('Could not fetch observation history:', e);
+            }
+        }
+
+        // Get daily forecast
+        let forecastData = null;
+        try {
+            forecastData = await http.getJson(forecastUrl, { ttl: WEATHER_CACHE_TTL.forecast, signal });
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.warn('Could not fetch daily forecast:', e);
+        }
+
+        // If observation is from a station far away (>20km) or old, prefer forecast data
+        let useForecastForCurrent = !observationData;
+        if (observationData && stationInfo) {
+            const stationDistance = parseFloat(stationInfo.distance);
+            const obsTime = observationData.properties?.timestamp;
+            const isOld = obsTime && (Date.now() - new Date(obsTime).getTime()) > 3600000; // > 1 hour old
+
+            if (stationDistance > 20 || isOld) {
+                useForecastForCurrent = true;
+                console.log(`Station too far (${stationDistance}km) or old, using forecast data`);
+            }
+        }
+
+        // Use hourly forecast for current conditions if observation is poor
+        if (useForecastForCurrent) {
+            observationData = this.forecastObservation(hourlyData) || observationData;
+        }
+
+        return {
+            observation: observationData,
+            hourlyForecast: hourlyData,
+            forecast: forecastData,
+            point: pointData,
+            useForecast: useForecastForCurrent,
+            stationInfo,
+            observationHistory,
+            pastForecast,
+            provider: this.name
+        };
+    }
+
+    async loadCurrentWind(location, signal = null) {
+        // Just enough for a map arrow: the nearest station's latest report if it is close and
+        // recent, otherwise the current forecast hour - no history, gusts grid or daily forecast
+        const http = this.app.http;
+        const pointUrl = `${this.baseUrl}/points/${location.lat},${location.lon}`;
+        const pointData = await http.getJson(pointUrl, { ttl: WEATHER_CACHE_TTL.point, signal });
+
+        try {
+            const stationsData = await http.getJson(pointData.properties.observationStations, { ttl: WEATHER_CACHE_TTL.point, signal });
+            // Weather.gov lists the stations nearest first
+            const station = stationsData.features?.[0];
+            const coords = station?.geometry?.coordinates;
+            if (station && coords?.length >= 2 &&
+                this.app.calculateDistance(location.lat, location.lon, coords[1], coords[0]) <= 20) {
+                const obsUrl = `${this.baseUrl}/stations/${station.properties.stationIdentifier}/observations/latest`;
+                const obsData = await http.getJson(obsUrl, { ttl: WEATHER_CACHE_TTL.observation, signal });
+                const props = obsData.properties || {};
+                const isRecent = props.timestamp && Date.now() - new Date(props.timestamp).getTime() <= 3600000;
+                if (isRecent && props.windSpeed?.value !== null && props.windSpeed?.value !== undefined) {
+                    return { observation: obsData, provider: this.name };
+                }
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.warn('Could not fetch the latest observation:', e);
+        }
+
+        const hourlyData = await http.getJson(pointData.properties.forecastHourly, { ttl: WEATHER_CACHE_TTL.forecast, signal });
+        const observation = this.forecastObservation(hourlyData);
+        if (!observation) {
+            throw new Error('Weather.gov hourly forecast has no current wind');
+        }
+        return { observation, provider: this.name };
+    }
+
+    forecastObservation(hourlyData) {
+        // An observation-like structure from the current forecast hour, or null without one
+        const currentForecast = hourlyData?.properties?.periods?.[0];
+        // A calm hour ("0 mph") is real data; only a missing or unreadable speed is not
+        if (!currentForecast || !currentForecast.windSpeed) return null;
+        const forecastWindSpeed = this.app.parseWindSpeed(currentForecast.windSpeed);
+        const forecastWindDir = this.app.parseWindDirection(currentForecast.windDirection);
+        if (forecastWindSpeed === null || isNaN(forecastWindSpeed)) return null;
+
+        return {
+            properties: {
+                windSpeed: { value: forecastWindSpeed * UNIT_FACTORS.knotsToMs },
+                windGust: { value: currentForecast.windGust ? this.app.parseWindSpeed(currentForecast.windGust) * UNIT_FACTORS.knotsToMs : null },
+                windDirection: { value: forecastWindDir },
+                temperature: { value: fahrenheitToCelsius(currentForecast.temperature) },
+                textDescription: currentForecast.shortForecast || 'Forecast data',
+                timestamp: currentForecast.startTime
+            },
+            source: 'forecast'
+        };
+    }
+
+    parseGridSeries(property) {
+        // Grid values look like { validTime: '2024-01-01T12:00:00+00:00/PT3H', value: 37 } in km/h
+        const toKnots = (property?.uom || '').includes('m_s-1') ? UNIT_FACTORS.msToKnots : UNIT_FACTORS.kmhToKnots;
+        return (property?.values || []).map(entry => {
+            const [start, duration] = entry.validTime.split('/');
+            const startMs = new Date(start).getTime();
+            const hours = parseInt((duration.match(/(\d+)H/) || [])[1] || 0, 10);
+            const days = parseInt((duration.match(/P(\d+)D/) || [])[1] || 0, 10);
+            return {
+                startMs,
+                endMs: startMs + (days * 24 + hours) * 3600000,
+                value: entry.value !== null ? entry.value * toKnots : null
+            };
+        });
+    }
+
+    attachForecastGusts(periods, gridData) {
+        const series = this.parseGridSeries(gridData?.properties?.windGust);
+
+        periods.forEach(period => {
+            const time = new Date(period.startTime).getTime();
+            const match = series.find(entry => time >= entry.startMs && time < entry.endMs);
+            if (match && match.value !== null) {
+                period.windGust = `${Math.round(match.value)} kt`;
+            }
+        });
+    }
+
+    getPastForecastWind(gridData) {
+        // The grid usually starts a few hours back - those hours are what the forecast said about the observed past
+        const speeds = this.parseGridSeries(gridData?.properties?.windSpeed);
+        const gusts = this.parseGridSeries(gridData?.properties?.windGust);
+        const valueAt = (series, time) => series.find(entry => time >= entry.startMs && time < entry.endMs)?.value ?? null;
+        const now = Date.now();
+        const hours = [];
+        
+        let time = Math.ceil((now - OBSERVATION_HISTORY_HOURS * 3600000) / 3600000) * 3600000;
+        for (; time <= now; time += 3600000) {
+            const speed = valueAt(speeds, time);
+            if (speed === null) continue;
+            hours.push({ time, speed, gust: valueAt(gusts, time), direction: null });
+        }
+        return hours;
+    }
+
+    async loadObservationHistory(stationId, signal = null) {
+        const start = new Date(Date.now() - OBSERVATION_HISTORY_HOURS * 3600000).toISOString();
+        const url = `${this.baseUrl}/stations/${stationId}/observations?start=${encodeURIComponent(start)}`;
+        const data = await this.app.http.getJson(url, { ttl: WEATHER_CACHE_TTL.observation, signal });
+        
+        // Observations come newest first, in the unit their unitCode names; reports without wind are skipped
+        return (data.features || [])
+            .map(feature => feature.properties || {})
+            .filter(props => props.timestamp && observedWindToKnots(props.windSpeed) !== null)
+            .map(props => ({
+                time: new Date(props.timestamp).getTime(),
+                speed: observedWindToKnots(props.windSpeed),
+                gust: observedWindToKnots(props.windGust),
+                direction: props.windDirection?.value ?? null
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    async findBestObservationStation(stations, targetLat, targetLon, signal = null) {
+        // The HTTP client's per-endpoint limit keeps this fan-out from flooding Weather.gov
+        const stationPromises = stations.slice(0, 10).map(async (station) => {
+            try {
+                const stationId = station.properties.stationIdentifier;
+                const obsUrl = `${this.baseUrl}/stations/${stationId}/observations/latest`;
+                const obsData = await this.app.http.getJson(obsUrl, { ttl: WEATHER_CACHE_TTL.observation, signal });
+                const props = obsData.properties || {};
+
+                // Check if we have wind data and it's recent (within last hour)
+                const windSpeed = props.windSpeed?.value;
+                const observationTime = props.timestamp ? new Date(props.timestamp) : null;
+                const isRecent = observationTime && (Date.now() - observationTime.getTime()) < 3600000; // 1 hour
+
+                if (!windSpeed && !props.temperature?.value) {
+                    return null; // Station has no useful data
+                }
+
+                // Calculate distance from target location
+                const stationCoords = station.geometry?.coordinates;
+                let distance = 999999;
+                if (stationCoords && stationCoords.length >= 2) {
+                    const stationLon = stationCoords[0];
+                    const stationLat = stationCoords[1];
+                    distance = this.app.calculateDistance(targetLat, targetLon, stationLat, stationLon);
+                }
+
+                // Score the station
+                let score = 1000 / (distance + 1); // Closer = better score
+                if (windSpeed) score += 50; // Has wind data
+                if (isRecent) score += 100; // Recent data
+
+                // Prefer coastal stations (check station name/id for keywords)
+                const stationName = (station.properties?.name || stationId || '').toLowerCase();
+                const coastalKeywords = ['beach', 'buoy', 'coast', 'marina', 'harbor', 'port', 'cape', 'dennis'];
+                if (coastalKeywords.some(keyword => stationName.includes(keyword))) {
+                    score += 200; // Big boost for coastal stations
+                }
+
+                const stationDisplayName = station.properties?.name || stationId;
+
+                return {
+                    data: obsData,
+                    distance,
+                    score,
+                    stationId,
+                    stationName: stationDisplayName,
+                    lat: stationCoords?.[1] ?? null,
+                    lon: stationCoords?.[0] ?? null,
+                    hasWind: !!windSpeed,
+                    isRecent
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Error fetching station ${station.properties?.stationIdentifier}:`, error);
+                return null;
+            }
+        });
+
+        const results = await Promise.all(stationPromises);
+        const validResults = results.filter(r => r !== null);
+
+        if (validResults.length === 0) {
+            return null;
+        }
+
+        // Sort by score (best first)
+        validResults.sort((a, b) => b.score - a.score);
+
+        // Log which station we're using for debugging
+        const best = validResults[0];
+        console.log(`Using station: ${best.stationName} (${best.stationId}), distance: ${best.distance.toFixed(2)}km`);
+
+        return {
+            data: best.data,
+            stationInfo: {
+                name: best.stationName,
+                id: best.stationId,
+                distance: best.distance.toFixed(1),
+                lat: best.lat,
+                lon: best.lon
+            }
+        };
+    }
+}
+
+class OpenMeteoProvider {
+    constructor(app, baseUrl = KITEFLOW_ENDPOINTS.openMeteo) {
+        this.app = app;
+        this.baseUrl = baseUrl;
+        this.name = 'open-meteo';
+        this.label = 'Open-Meteo global model';
+    }
+
+    covers() {
+        // Global model - any lat/lon works
+        return true;
+    }
+
+    async load(location, signal = null) {
+        const variables = 'temperature_2m,wind_speed_10m,wind_direction_10m,wind_gusts_10m,weather_code';
+        const url = `${this.baseUrl}?latitude=${location.lat}&longitude=${location.lon}` +
+            `&current=${variables}&hourly=${variables},is_day` +
+            '&wind_speed_unit=kn&timezone=auto&timeformat=unixtime&forecast_days=7';
+
+        const data = await this.app.http.getJson(url, { ttl: WEATHER_CACHE_TTL.forecast, signal });
+        if (!data.current || !data.hourly || !Array.isArray(data.hourly.time)) {
+            throw new Error('Open-Meteo response missing current or hourly data');
+        }
+
+        const observation = this.currentObservation(data.current);
+
+        // Hourly series starts at local midnight - drop hours already over, like Weather.gov does
+        const hourly = data.hourly;
+        const nowSeconds = Date.now() / 1000;
+        const periods = hourly.time.map((time, i) => ({
+            startTime: new Date(time * 1000).toISOString(),
+            endTime: new Date((time + 3600) * 1000).toISOString(),
+            windSpeed: `${Math.round(hourly.wind_speed_10m[i])} kt`,
+            windGust: hourly.wind_gusts_10m ? `${Math.round(hourly.wind_gusts_10m[i])} kt` : null,
+            // null when the model has no direction for the hour, rather than a made-up north wind
+            windDirection: hourly.wind_direction_10m[i] != null ? this.app.getWindDirectionText(hourly.wind_direction_10m[i]) : null,
+            temperature: Math.round(celsiusToFahrenheit(hourly.temperature_2m[i])),
+            temperatureUnit: 'F',
+            isDaytime: hourly.is_day ? hourly.is_day[i] === 1 : undefined,
+            shortForecast: this.describeWeatherCode(hourly.weather_code?.[i])
+        })).filter((period, i) => hourly.time[i] + 3600 > nowSeconds);
+
+        return {
+            observation,
+            hourlyForecast: { properties: { periods } },
+            forecast: null,
+            point: { timeZone: data.timezone, utcOffsetSeconds: data.utc_offset_seconds },
+            useForecast: true,
+            stationInfo: null,
+            observationHistory: null, // A model has no measurements
+            pastForecast: [],
+            provider: this.name
+        };
+    }
+
+    async loadCurrentWind(location, signal = null) {
+        // Current model wind only, for map arrows
+        const url = `${this.baseUrl}?latitude=${location.lat}&longitude=${location.lon}` +
+            '&current=wind_speed_10m,wind_direction_10m,wind_gusts_10m' +
+            '&wind_speed_unit=kn&timezone=auto&timeformat=unixtime';
+
+        const data = await this.app.http.getJson(url, { ttl: WEATHER_CACHE_TTL.observation, signal });
+        if (!data.current) {
+            throw new Error('Open-Meteo response missing current data');
+        }
+        return { observation: this.currentObservation(data.current), provider: this.name };
+    }
+
+    currentObservation(current) {
+        // Open-Meteo's `current` block as an observation (wind asked for in knots, stored as m/s)
+        return {
+            properties: {
+                windSpeed: { value: current.wind_speed_10m * UNIT_FACTORS.knotsToMs },
+                windGust: { value: current.wind_gusts_10m != null ? current.wind_gusts_10m * UNIT_FACTORS.knotsToMs : null },
+                windDirection: { value: current.wind_direction_10m ?? null },
+                temperature: { value: current.temperature_2m ?? null },
+                textDescription: this.describeWeatherCode(current.weather_code),
+                timestamp: new Date(current.time * 1000).toISOString()
+            },
+            source: 'model'
+        };
+    }
+
+    describeWeatherCode(code) {
+        // WMO weather interpretation codes used by Open-Meteo
+        if (code === undefined || code === null) return 'Model data';
+        if (code === 0) return 'Clear';
+        if (code <= 2) return 'Partly Cloudy';
+        if (code === 3) return 'Overcast';
+        if (code <= 48) return 'Fog';
+        if (code <= 57) return 'Drizzle';
+        if (code <= 67) return 'Rain';
+        if (code <= 77) return 'Snow';
+        if (code <= 82) return 'Rain Showers';
+        if (code <= 86) return 'Snow Showers';
+        return 'Thunderstorms';
+    }
+}